@@ -0,0 +1,1191 @@
+// Rorschach Rain - Localization
+// Message catalogs and per-language grammar for the interface and the interpretation text.
+// Loaded before script.js; static text in index.html is tagged with data-i18n attributes
+// and rewritten by I18n.apply(), dynamic text goes through i18n.t().
+
+/**
+ * Catalogs
+ * name: shown in the LANGUAGE picker. locale: for Intl (dates, numbers, plurals).
+ * promptLanguage: how the cloud vision prompt names the language.
+ * messages: flat keys -> text with {param} placeholders. A value can also be an object of
+ *   Intl.PluralRules categories ({ one, other, ... }), picked by params.count.
+ * labels: dictionary labels by their English text -> [text, gender] (de adds the accusative form
+ *   for weak nouns). Labels without an entry are shown as they are.
+ * adjectives: English adjective -> the form(s) the grammar below needs.
+ * Missing messages fall back to English.
+ */
+const I18N_CATALOGS = {
+    en: {
+        name: 'ENGLISH',
+        locale: 'en',
+        promptLanguage: 'English',
+        messages: {
+            'status.init': 'INIT_SYSTEM...',
+            'status.connecting': 'CONNECTING...',
+            'status.online': 'ONLINE',
+            'status.scanning': 'SCANNING...',
+            'status.frameUnavailable': 'FRAME UNAVAILABLE',
+            'status.missingTiles': 'ONLINE: MISSING TILES',
+            'status.offlineStored': 'OFFLINE: STORED RADAR',
+            'status.offlineMode': 'OFFLINE MODE',
+            'status.playing': 'PLAYING',
+            'status.error': 'ERROR',
+            'status.tracing': 'TRACING BLOBS...',
+            'status.tracingFailed': 'TRACING FAILED',
+            'status.pickBlob': { one: '1 BLOB: CLICK TO PICK', other: '{count} BLOBS: CLICK ONE' },
+            'status.blobSelected': 'BLOB SELECTED',
+            'status.noShape': 'NO SHAPE DETECTED',
+            'status.analyzing': 'ANALYZING...',
+            'status.vision': 'VISION: {model}...',
+            'status.cancelled': 'ANALYSIS CANCELLED',
+            'status.complete': 'ANALYSIS COMPLETE',
+            'status.presetSaved': 'PRESET SAVED',
+            'status.presetSaveFailed': 'PRESET SAVE FAILED',
+            'status.presetRenameFailed': 'PRESET RENAME FAILED',
+            'status.presetReserved': '{name} IS A RESERVED NAME',
+            'status.saveFirst': 'SAVE A PRESET FIRST',
+            'status.dictionarySaved': 'DICTIONARY SAVED',
+            'status.dictionaryImported': 'DICTIONARY IMPORTED',
+            'status.dictionaryDeleteFailed': 'DICTIONARY DELETE FAILED',
+            'status.importFailed': 'IMPORT FAILED: {error}',
+            'status.storeCleared': 'STORED RADAR CLEARED',
+
+            'error.message': 'ERR: {message}',
+            'error.noData': 'NO DATA',
+            'error.connection': 'CONNECTION FAIL',
+            'error.clear': 'CLEAR FAILED',
+            'error.api': 'API ERROR: {message}',
+            'error.timeout': 'TIMED OUT AFTER {seconds}S',
+
+            'menu.hide': '[ HIDE ]',
+            'menu.show': '[ MENU ]',
+
+            'view.label': 'VIEW_MODE',
+            'view.radar': 'RADAR',
+            'view.inkblot': 'INK_BLOT',
+            'view.both': 'BOTH',
+            'view.kaleido': 'KALEIDO',
+
+            'radial.label': 'RADIAL_SYMMETRY',
+            'radial.rotational': 'ROTATIONAL',
+            'radial.kaleidoscope': 'KALEIDOSCOPE',
+            'radial.segments': { one: '{count}_SEGMENT', other: '{count}_SEGMENTS' },
+
+            'intensity.label': 'INK_THRESHOLD',
+            'intensity.flat': 'FLAT_INK',
+            'intensity.levels': { one: '{count}_DENSITY_LEVEL', other: '{count}_DENSITY_LEVELS' },
+            'intensity.noPalette': 'NO_PALETTE: ALL_RAIN_IS_INK',
+
+            'ink.label': 'INK_SETTINGS',
+            'ink.blur': 'BLUR',
+            'ink.contrast': 'CONTRAST',
+            'ink.alpha': 'ALPHA',
+            'ink.overlayAlpha': 'OVERLAY_ALPHA',
+            'ink.outlineBlur': 'OUTLINE_BLUR',
+            'ink.outlineContrast': 'OUTLINE_CONTRAST',
+            'ink.outlineThreshold': 'OUTLINE_THRESHOLD',
+            'ink.outlineScale': 'OUTLINE_SCALE',
+            'ink.outlineSimplify': 'OUTLINE_SIMPLIFY',
+            'preset.save': 'SAVE',
+            'preset.rename': 'RENAME',
+            'preset.export': 'EXPORT',
+            'preset.custom': 'CUSTOM',
+            'preset.namePrompt': 'Preset name:',
+            'preset.renamePrompt': 'Rename preset:',
+            'preset.overwriteConfirm': 'Preset "{name}" already exists. Overwrite it?',
+
+            'symmetry.label': 'SYMMETRY',
+            'symmetry.vertical': 'VERTICAL_FOLD',
+            'symmetry.horizontal': 'HORIZONTAL_FOLD',
+            'symmetry.none': 'NO_MIRROR',
+            'symmetry.viewport': 'AXIS: VIEWPORT_CENTER',
+            'symmetry.selection': 'AXIS: SELECTION_CENTER',
+            'symmetry.union': 'BLEND: UNION',
+            'symmetry.overlay': 'BLEND: OVERLAY',
+            'symmetry.press': 'BLEND: PRESS',
+
+            'crt.label': 'CRT_INTENSITY',
+            'scheme.label': 'COLOR_SCHEME',
+            'scheme.green': 'PHOSPHOR_GREEN',
+            'scheme.amber': 'AMBER_TERMINAL',
+            'scheme.color': 'FULL_COLOR',
+            'language.label': 'LANGUAGE',
+
+            'interp.label': 'INTERPOLATION',
+            'interp.off': 'OFF',
+            'interp.crossfade': 'CROSSFADE',
+            'interp.motion': 'MOTION_TWEEN',
+            'interp.steps': { one: '{count}_STEP', other: '{count}_STEPS' },
+
+            'wetInk.label': 'WET_INK',
+            'wetInk.off': 'OFF',
+            'wetInk.trail': { one: 'TRAIL: {count}_FRAME', other: 'TRAIL: {count}_FRAMES' },
+            'wetInk.halfLife': { one: 'HALF_LIFE: {count}_FRAME', other: 'HALF_LIFE: {count}_FRAMES' },
+
+            'frameCap.label': 'FRAME_CAP',
+            'frameCap.uncapped': 'UNCAPPED',
+            'frameCap.fps': '{count}_FPS',
+
+            'dictionary.label': 'DICTIONARY',
+            'dictionary.classic': 'CLASSIC',
+            'dictionary.edit': 'EDIT',
+            'dictionary.import': 'IMPORT',
+            'dictionary.export': 'EXPORT',
+            'dictionary.editor': 'DICTIONARY_EDITOR',
+            'dictionary.save': 'SAVE',
+            'dictionary.delete': 'DELETE',
+            'dictionary.deleteConfirm': 'Delete the dictionary "{name}"?',
+
+            'store.label': 'OFFLINE_STORE',
+            'store.clear': 'CLEAR STORED RADAR',
+            'store.clearConfirm': 'Delete all radar tiles stored on this device?',
+
+            'select.start': 'SELECT TARGET AREA',
+            'select.again': 'RE-SELECT AREA',
+            'select.cancel': 'CANCEL SELECTION',
+            'select.lock': '✅ LOCK SELECTION',
+            'pick.start': 'PICK A BLOB',
+            'pick.cancel': 'CANCEL PICK',
+
+            'analysis.title': 'ANALYSIS_MATRIX',
+            'analysis.local': 'LOCAL_SCAN',
+            'analysis.localHint': 'FAST / HEURISTIC',
+            'analysis.cloud': 'CLOUD_VISION',
+            'analysis.cloudHint': 'DEEP / {model}',
+            'analysis.apiKey': 'ENTER API KEY',
+            'analysis.apiKeyMissing': 'Please enter a valid {provider} API key for Cloud Analysis.',
+            'analysis.seed': 'SEED (AUTO)',
+            'analysis.sizeScreen': 'SIZE: SCREEN_RELATIVE',
+            'analysis.sizeAbsolute': 'SIZE: ABSOLUTE_KM',
+            'analysis.targetLargest': 'SHAPE: LARGEST_BLOB',
+            'analysis.targetCenter': 'SHAPE: NEAREST_CENTER',
+            'analysis.targetCombined': 'SHAPE: ALL_COMBINED',
+            'analysis.timeout': 'TIMEOUT: {seconds}S',
+            'analysis.timeoutOff': 'TIMEOUT: OFF',
+            'analysis.cancel': 'CANCEL',
+            'vision.gemini': 'VISION: GEMINI',
+            'vision.openai': 'VISION: OPENAI_COMPATIBLE',
+            'vision.local': 'VISION: LOCAL_MODEL',
+            'vision.mock': 'VISION: MOCK',
+            'analysis.start': 'WHAT DO YOU SEE?',
+
+            'result.loading': 'ANALYZING PATTERN...',
+            'result.local': 'I SEE {phrase}',
+            'result.cloud': '{provider} SEES: {label}',
+            'result.matches': 'SKETCH MATCH: {matches}',
+            'result.seed': 'SEED {seed}',
+            'result.seedHint': 'Use this seed for the next analysis',
+            'result.confidence': 'CONFIDENCE {value}',
+            'result.rank': '{rank} / {total}',
+            'result.prev': 'Previous answer',
+            'result.next': 'Next answer',
+            'result.fallback': 'CLOUD FAILED, LOCAL SCAN...',
+
+            'why.score': '{category}: {score} PTS',
+            'why.runnerUp': 'VS {category}: {score} PTS',
+            'why.term': '{term} {value} → +{points}',
+            'why.hint': 'HINT {key} {value} ∈ {min}–{max}',
+            'why.shape': 'HOLES {holes} · LOBES {lobes} · SYMMETRY {symmetry} · AXIS {axis}°',
+            'why.size': 'AREA {area} KM² · PERIMETER {perimeter} KM',
+            'why.extent': 'EXTENT {extent} KM · BEARING {bearing}°',
+            'why.dictionary': 'DICTIONARY: {name}',
+
+            'category.round': 'ROUND',
+            'category.elongated': 'ELONGATED',
+            'category.spiky': 'SPIKY',
+            'category.tiny': 'TINY',
+            'category.huge': 'HUGE',
+            'category.generic': 'GENERIC',
+
+            'term.CIRCULARITY': 'CIRCULARITY',
+            'term.SOLIDITY': 'SOLIDITY',
+            'term.ASPECT': 'ASPECT',
+            'term.LOBES': 'LOBES',
+            'term.RUGGEDNESS': 'RUGGEDNESS',
+            'term.EXTENT_KM': 'EXTENT_KM',
+            'term.VIEW_SHARE': 'VIEW_SHARE',
+            'term.BASELINE': 'BASELINE',
+            'term.SYMMETRY': 'SYMMETRY',
+            'term.HOLES': 'HOLES'
+        },
+        labels: {},
+        adjectives: {},
+        // A / AN by the sound of the next word (first letter is close enough for this vocabulary)
+        phrase(noun, adjective) {
+            const words = adjective ? `${adjective.text} ${noun.text}` : noun.text;
+            return `${/^[AEIOU]/.test(words) ? 'AN' : 'A'} ${words}`;
+        }
+    },
+
+    es: {
+        name: 'ESPAÑOL',
+        locale: 'es',
+        promptLanguage: 'Spanish',
+        messages: {
+            'status.init': 'INICIANDO_SISTEMA...',
+            'status.connecting': 'CONECTANDO...',
+            'status.online': 'EN LÍNEA',
+            'status.scanning': 'ESCANEANDO...',
+            'status.frameUnavailable': 'FOTOGRAMA NO DISPONIBLE',
+            'status.missingTiles': 'EN LÍNEA: FALTAN TESELAS',
+            'status.offlineStored': 'SIN CONEXIÓN: RADAR GUARDADO',
+            'status.offlineMode': 'MODO SIN CONEXIÓN',
+            'status.playing': 'REPRODUCIENDO',
+            'status.error': 'ERROR',
+            'status.tracing': 'TRAZANDO MANCHAS...',
+            'status.tracingFailed': 'FALLÓ EL TRAZADO',
+            'status.pickBlob': { one: '1 MANCHA: HAZ CLIC PARA ELEGIRLA', other: '{count} MANCHAS: HAZ CLIC EN UNA' },
+            'status.blobSelected': 'MANCHA SELECCIONADA',
+            'status.noShape': 'NO SE DETECTÓ NINGUNA FORMA',
+            'status.analyzing': 'ANALIZANDO...',
+            'status.vision': 'VISIÓN: {model}...',
+            'status.cancelled': 'ANÁLISIS CANCELADO',
+            'status.complete': 'ANÁLISIS COMPLETO',
+            'status.presetSaved': 'AJUSTE GUARDADO',
+            'status.presetSaveFailed': 'NO SE PUDO GUARDAR EL AJUSTE',
+            'status.presetRenameFailed': 'NO SE PUDO RENOMBRAR EL AJUSTE',
+            'status.presetReserved': '{name} ES UN NOMBRE RESERVADO',
+            'status.saveFirst': 'GUARDA UN AJUSTE PRIMERO',
+            'status.dictionarySaved': 'DICCIONARIO GUARDADO',
+            'status.dictionaryImported': 'DICCIONARIO IMPORTADO',
+            'status.dictionaryDeleteFailed': 'NO SE PUDO BORRAR EL DICCIONARIO',
+            'status.importFailed': 'FALLÓ LA IMPORTACIÓN: {error}',
+            'status.storeCleared': 'RADAR GUARDADO BORRADO',
+
+            'error.message': 'ERR: {message}',
+            'error.noData': 'SIN DATOS',
+            'error.connection': 'FALLO DE CONEXIÓN',
+            'error.clear': 'NO SE PUDO BORRAR',
+            'error.api': 'ERROR DE API: {message}',
+            'error.timeout': 'TIEMPO AGOTADO TRAS {seconds}S',
+
+            'menu.hide': '[ OCULTAR ]',
+            'menu.show': '[ MENÚ ]',
+
+            'view.label': 'MODO_DE_VISTA',
+            'view.radar': 'RADAR',
+            'view.inkblot': 'MANCHA',
+            'view.both': 'AMBOS',
+            'view.kaleido': 'CALEIDO',
+
+            'radial.label': 'SIMETRÍA_RADIAL',
+            'radial.rotational': 'ROTACIONAL',
+            'radial.kaleidoscope': 'CALEIDOSCOPIO',
+            'radial.segments': { one: '{count}_SEGMENTO', other: '{count}_SEGMENTOS' },
+
+            'intensity.label': 'UMBRAL_DE_TINTA',
+            'intensity.flat': 'TINTA_PLANA',
+            'intensity.levels': { one: '{count}_NIVEL_DE_DENSIDAD', other: '{count}_NIVELES_DE_DENSIDAD' },
+            'intensity.noPalette': 'SIN_PALETA: TODA_LA_LLUVIA_ES_TINTA',
+
+            'ink.label': 'AJUSTES_DE_TINTA',
+            'ink.blur': 'DESENFOQUE',
+            'ink.contrast': 'CONTRASTE',
+            'ink.alpha': 'OPACIDAD',
+            'ink.overlayAlpha': 'OPACIDAD_SUPERPUESTA',
+            'ink.outlineBlur': 'DESENFOQUE_DE_CONTORNO',
+            'ink.outlineContrast': 'CONTRASTE_DE_CONTORNO',
+            'ink.outlineThreshold': 'UMBRAL_DE_CONTORNO',
+            'ink.outlineScale': 'ESCALA_DE_CONTORNO',
+            'ink.outlineSimplify': 'SIMPLIFICAR_CONTORNO',
+            'preset.save': 'GUARDAR',
+            'preset.rename': 'RENOMBRAR',
+            'preset.export': 'EXPORTAR',
+            'preset.custom': 'PERSONALIZADO',
+            'preset.namePrompt': 'Nombre del ajuste:',
+            'preset.renamePrompt': 'Renombrar ajuste:',
+            'preset.overwriteConfirm': 'El ajuste "{name}" ya existe. ¿Sobrescribirlo?',
+
+            'symmetry.label': 'SIMETRÍA',
+            'symmetry.vertical': 'PLIEGUE_VERTICAL',
+            'symmetry.horizontal': 'PLIEGUE_HORIZONTAL',
+            'symmetry.none': 'SIN_ESPEJO',
+            'symmetry.viewport': 'EJE: CENTRO_DE_VISTA',
+            'symmetry.selection': 'EJE: CENTRO_DE_SELECCIÓN',
+            'symmetry.union': 'MEZCLA: UNIÓN',
+            'symmetry.overlay': 'MEZCLA: SUPERPOSICIÓN',
+            'symmetry.press': 'MEZCLA: PRENSA',
+
+            'crt.label': 'INTENSIDAD_CRT',
+            'scheme.label': 'ESQUEMA_DE_COLOR',
+            'scheme.green': 'FÓSFORO_VERDE',
+            'scheme.amber': 'TERMINAL_ÁMBAR',
+            'scheme.color': 'COLOR_COMPLETO',
+            'language.label': 'IDIOMA',
+
+            'interp.label': 'INTERPOLACIÓN',
+            'interp.off': 'NO',
+            'interp.crossfade': 'FUNDIDO',
+            'interp.motion': 'INTERPOLAR_MOVIMIENTO',
+            'interp.steps': { one: '{count}_PASO', other: '{count}_PASOS' },
+
+            'wetInk.label': 'TINTA_HÚMEDA',
+            'wetInk.off': 'NO',
+            'wetInk.trail': { one: 'ESTELA: {count}_FOTOGRAMA', other: 'ESTELA: {count}_FOTOGRAMAS' },
+            'wetInk.halfLife': { one: 'VIDA_MEDIA: {count}_FOTOGRAMA', other: 'VIDA_MEDIA: {count}_FOTOGRAMAS' },
+
+            'frameCap.label': 'LÍMITE_FPS',
+            'frameCap.uncapped': 'SIN_LÍMITE',
+            'frameCap.fps': '{count}_FPS',
+
+            'dictionary.label': 'DICCIONARIO',
+            'dictionary.classic': 'CLÁSICO',
+            'dictionary.edit': 'EDITAR',
+            'dictionary.import': 'IMPORTAR',
+            'dictionary.export': 'EXPORTAR',
+            'dictionary.editor': 'EDITOR_DE_DICCIONARIOS',
+            'dictionary.save': 'GUARDAR',
+            'dictionary.delete': 'BORRAR',
+            'dictionary.deleteConfirm': '¿Borrar el diccionario "{name}"?',
+
+            'store.label': 'ALMACÉN_OFFLINE',
+            'store.clear': 'BORRAR RADAR GUARDADO',
+            'store.clearConfirm': '¿Borrar todas las teselas de radar guardadas en este dispositivo?',
+
+            'select.start': 'SELECCIONAR ÁREA',
+            'select.again': 'VOLVER A SELECCIONAR',
+            'select.cancel': 'CANCELAR SELECCIÓN',
+            'select.lock': '✅ FIJAR SELECCIÓN',
+            'pick.start': 'ELEGIR UNA MANCHA',
+            'pick.cancel': 'CANCELAR ELECCIÓN',
+
+            'analysis.title': 'MATRIZ_DE_ANÁLISIS',
+            'analysis.local': 'ESCANEO_LOCAL',
+            'analysis.localHint': 'RÁPIDO / HEURÍSTICO',
+            'analysis.cloud': 'VISIÓN_EN_LA_NUBE',
+            'analysis.cloudHint': 'PROFUNDO / {model}',
+            'analysis.apiKey': 'CLAVE DE API',
+            'analysis.apiKeyMissing': 'Introduce una clave de API de {provider} válida para el análisis en la nube.',
+            'analysis.seed': 'SEMILLA (AUTO)',
+            'analysis.sizeScreen': 'TAMAÑO: RELATIVO_A_PANTALLA',
+            'analysis.sizeAbsolute': 'TAMAÑO: ABSOLUTO_KM',
+            'analysis.targetLargest': 'FORMA: MANCHA_MAYOR',
+            'analysis.targetCenter': 'FORMA: MÁS_CERCA_DEL_CENTRO',
+            'analysis.targetCombined': 'FORMA: TODAS_JUNTAS',
+            'analysis.timeout': 'LÍMITE: {seconds}S',
+            'analysis.timeoutOff': 'LÍMITE: NINGUNO',
+            'analysis.cancel': 'CANCELAR',
+            'vision.gemini': 'VISIÓN: GEMINI',
+            'vision.openai': 'VISIÓN: COMPATIBLE_OPENAI',
+            'vision.local': 'VISIÓN: MODELO_LOCAL',
+            'vision.mock': 'VISIÓN: SIMULADA',
+            'analysis.start': '¿QUÉ VES?',
+
+            'result.loading': 'ANALIZANDO PATRÓN...',
+            'result.local': 'VEO {phrase}',
+            'result.cloud': '{provider} VE: {label}',
+            'result.matches': 'COINCIDENCIA CON BOCETO: {matches}',
+            'result.seed': 'SEMILLA {seed}',
+            'result.seedHint': 'Usar esta semilla en el próximo análisis',
+            'result.confidence': 'CONFIANZA {value}',
+            'result.rank': '{rank} / {total}',
+            'result.prev': 'Respuesta anterior',
+            'result.next': 'Respuesta siguiente',
+            'result.fallback': 'FALLÓ LA NUBE, ESCANEO LOCAL...',
+
+            'why.score': '{category}: {score} PTS',
+            'why.runnerUp': 'VS {category}: {score} PTS',
+            'why.term': '{term} {value} → +{points}',
+            'why.hint': 'PISTA {key} {value} ∈ {min}–{max}',
+            'why.shape': 'HUECOS {holes} · LÓBULOS {lobes} · SIMETRÍA {symmetry} · EJE {axis}°',
+            'why.size': 'ÁREA {area} KM² · PERÍMETRO {perimeter} KM',
+            'why.extent': 'EXTENSIÓN {extent} KM · RUMBO {bearing}°',
+            'why.dictionary': 'DICCIONARIO: {name}',
+
+            'category.round': 'REDONDO',
+            'category.elongated': 'ALARGADO',
+            'category.spiky': 'PUNTIAGUDO',
+            'category.tiny': 'DIMINUTO',
+            'category.huge': 'ENORME',
+            'category.generic': 'GENÉRICO',
+
+            'term.CIRCULARITY': 'CIRCULARIDAD',
+            'term.SOLIDITY': 'SOLIDEZ',
+            'term.ASPECT': 'PROPORCIÓN',
+            'term.LOBES': 'LÓBULOS',
+            'term.RUGGEDNESS': 'RUGOSIDAD',
+            'term.EXTENT_KM': 'EXTENSIÓN_KM',
+            'term.VIEW_SHARE': 'PARTE_DE_VISTA',
+            'term.BASELINE': 'BASE',
+            'term.SYMMETRY': 'SIMETRÍA',
+            'term.HOLES': 'HUECOS'
+        },
+        labels: {
+            MOON: ['LUNA', 'f'], COIN: ['MONEDA', 'f'], SHIELD: ['ESCUDO', 'm'], FACE: ['CARA', 'f'],
+            PLANET: ['PLANETA', 'm'], EGG: ['HUEVO', 'm'], TURTLE: ['TORTUGA', 'f'], BEETLE: ['ESCARABAJO', 'm'],
+            BALLOON: ['GLOBO', 'm'], PEARL: ['PERLA', 'f'], BUBBLE: ['BURBUJA', 'f'], MARBLE: ['CANICA', 'f'],
+            YOLK: ['YEMA', 'f'], DOME: ['CÚPULA', 'f'], IGLOO: ['IGLÚ', 'm'], JELLYFISH: ['MEDUSA', 'f'],
+            BUTTON: ['BOTÓN', 'm'], COMPASS: ['BRÚJULA', 'f'], RING: ['ANILLO', 'm'],
+            SNAKE: ['SERPIENTE', 'f'], RIVER: ['RÍO', 'm'], WORM: ['GUSANO', 'm'], SWORD: ['ESPADA', 'f'],
+            LIGHTNING: ['RAYO', 'm'], DNA: ['ADN', 'm'], GIRAFFE: ['JIRAFA', 'f'], VINE: ['ENREDADERA', 'f'],
+            COMET: ['COMETA', 'm'], TOWER: ['TORRE', 'f'], CIGAR: ['PURO', 'm'], FLUTE: ['FLAUTA', 'f'],
+            ICICLE: ['CARÁMBANO', 'm'], NEEDLE: ['AGUJA', 'f'], OBELISK: ['OBELISCO', 'm'], STREAM: ['ARROYO', 'm'],
+            LADDER: ['ESCALERA', 'f'], TRAIN: ['TREN', 'm'], GUITAR: ['GUITARRA', 'f'],
+            EXPLOSION: ['EXPLOSIÓN', 'f'], MONSTER: ['MONSTRUO', 'm'], SPLASH: ['SALPICADURA', 'f'], TREE: ['ÁRBOL', 'm'],
+            DRAGON: ['DRAGÓN', 'm'], CROWN: ['CORONA', 'f'], CACTUS: ['CACTUS', 'm'], STAR: ['ESTRELLA', 'f'],
+            DEMON: ['DEMONIO', 'm'], SHARD: ['ESQUIRLA', 'f'], THORN: ['ESPINA', 'f'], SHURIKEN: ['SHURIKEN', 'm'],
+            URCHIN: ['ERIZO DE MAR', 'm'], MACE: ['MAZA', 'f'], CRACK: ['GRIETA', 'f'], CLAW: ['GARRA', 'f'],
+            BUG: ['BICHO', 'm'], DOT: ['PUNTO', 'm'], PEBBLE: ['GUIJARRO', 'm'], SEED: ['SEMILLA', 'f'],
+            ANT: ['HORMIGA', 'f'], BERRY: ['BAYA', 'f'], ATOM: ['ÁTOMO', 'm'], SPECK: ['MOTA', 'f'],
+            CRUMB: ['MIGA', 'f'], PIXEL: ['PÍXEL', 'm'], FLEA: ['PULGA', 'f'], SPARK: ['CHISPA', 'f'],
+            DROPLET: ['GOTITA', 'f'], MICROBE: ['MICROBIO', 'm'], DUST: ['POLVO', 'm'],
+            WHALE: ['BALLENA', 'f'], MOUNTAIN: ['MONTAÑA', 'f'], TITAN: ['TITÁN', 'm'], FOREST: ['BOSQUE', 'm'],
+            CITY: ['CIUDAD', 'f'], ELEPHANT: ['ELEFANTE', 'm'], GALAXY: ['GALAXIA', 'f'], LEVIATHAN: ['LEVIATÁN', 'm'],
+            KAIJU: ['KAIJU', 'm'], ASTEROID: ['ASTEROIDE', 'm'], CONTINENT: ['CONTINENTE', 'm'], GLACIER: ['GLACIAR', 'm'],
+            MONOLITH: ['MONOLITO', 'm'], STORM: ['TORMENTA', 'f'], VOLCANO: ['VOLCÁN', 'm'],
+            RABBIT: ['CONEJO', 'm'], BUTTERFLY: ['MARIPOSA', 'f'], GHOST: ['FANTASMA', 'm'], SKULL: ['CALAVERA', 'f'],
+            BIRD: ['PÁJARO', 'm'], FISH: ['PEZ', 'm'], BAT: ['MURCIÉLAGO', 'm'], MASK: ['MÁSCARA', 'f'],
+            INKBLOT: ['MANCHA DE TINTA', 'f'], SHADOW: ['SOMBRA', 'f'], STAIN: ['MANCHA', 'f'], SILHOUETTE: ['SILUETA', 'f'],
+            PHANTOM: ['ESPECTRO', 'm'], MIRAGE: ['ESPEJISMO', 'm'], ECHO: ['ECO', 'm'], VORTEX: ['VÓRTICE', 'm'],
+            GLITCH: ['FALLO', 'm'], SPIRIT: ['ESPÍRITU', 'm'],
+            HEDGEHOG: ['ERIZO', 'm'], PUFFERFISH: ['PEZ GLOBO', 'm'], OWL: ['BÚHO', 'm'], FROG: ['RANA', 'f'],
+            LADYBUG: ['MARIQUITA', 'f'], HAMSTER: ['HÁMSTER', 'm'], EEL: ['ANGUILA', 'f'], CROCODILE: ['COCODRILO', 'm'],
+            CATERPILLAR: ['ORUGA', 'f'], DACHSHUND: ['PERRO SALCHICHA', 'm'], LIZARD: ['LAGARTIJA', 'f'], SPIDER: ['ARAÑA', 'f'],
+            OCTOPUS: ['PULPO', 'm'], CRAB: ['CANGREJO', 'm'], PORCUPINE: ['PUERCOESPÍN', 'm'], LOBSTER: ['LANGOSTA', 'f'],
+            STARFISH: ['ESTRELLA DE MAR', 'f'], SCORPION: ['ESCORPIÓN', 'm'], MOUSE: ['RATÓN', 'm'], BEE: ['ABEJA', 'f'],
+            SNAIL: ['CARACOL', 'm'], TADPOLE: ['RENACUAJO', 'm'], 'GIANT SQUID': ['CALAMAR GIGANTE', 'm'], MAMMOTH: ['MAMUT', 'm'],
+            BRONTOSAURUS: ['BRONTOSAURIO', 'm'], HIPPO: ['HIPOPÓTAMO', 'm'], MOTH: ['POLILLA', 'f'], FOX: ['ZORRO', 'm'],
+            BEAR: ['OSO', 'm'],
+            'FLYING SAUCER': ['PLATILLO VOLANTE', 'm'], 'DEATH STAR': ['ESTRELLA DE LA MUERTE', 'f'],
+            'DYSON SPHERE': ['ESFERA DE DYSON', 'f'], 'ESCAPE POD': ['CÁPSULA DE ESCAPE', 'f'],
+            'ROBOT HEAD': ['CABEZA DE ROBOT', 'f'], WORMHOLE: ['AGUJERO DE GUSANO', 'm'], STARSHIP: ['NAVE ESTELAR', 'f'],
+            LIGHTSABER: ['SABLE DE LUZ', 'm'], 'SPACE ELEVATOR': ['ASCENSOR ESPACIAL', 'm'], 'RAY GUN': ['PISTOLA DE RAYOS', 'f'],
+            SANDWORM: ['GUSANO DE ARENA', 'm'], 'LASER BEAM': ['RAYO LÁSER', 'm'], ALIEN: ['ALIENÍGENA', 'm'],
+            XENOMORPH: ['XENOMORFO', 'm'], 'SPACE STATION': ['ESTACIÓN ESPACIAL', 'f'], MECH: ['MECHA', 'm'],
+            SUPERNOVA: ['SUPERNOVA', 'f'], 'NANOBOT SWARM': ['ENJAMBRE DE NANOBOTS', 'm'], NANOBOT: ['NANOBOT', 'm'],
+            PROBE: ['SONDA', 'f'], 'ENERGY CELL': ['CÉLULA DE ENERGÍA', 'f'], ANTIMATTER: ['ANTIMATERIA', 'f'],
+            DRONE: ['DRON', 'm'], MOTHERSHIP: ['NAVE NODRIZA', 'f'], RINGWORLD: ['MUNDO ANILLO', 'm'],
+            'GAS GIANT': ['GIGANTE GASEOSO', 'm'], NEBULA: ['NEBULOSA', 'f'], 'HIVE FLEET': ['FLOTA COLMENA', 'f'],
+            'TIME MACHINE': ['MÁQUINA DEL TIEMPO', 'f'], TELEPORTER: ['TELETRANSPORTADOR', 'm'], HOLOGRAM: ['HOLOGRAMA', 'm'],
+            ANDROID: ['ANDROIDE', 'm'], PORTAL: ['PORTAL', 'm'], STARGATE: ['PUERTA ESTELAR', 'f'],
+            COOKIE: ['GALLETA', 'f'], 'BEACH BALL': ['PELOTA DE PLAYA', 'f'], DONUT: ['DONUT', 'm'],
+            'TEDDY BEAR': ['OSITO DE PELUCHE', 'm'], PANCAKE: ['TORTITA', 'f'], CRAYON: ['CERA DE COLOR', 'f'],
+            BANANA: ['PLÁTANO', 'm'], 'KITE TAIL': ['COLA DE COMETA', 'f'], CARROT: ['ZANAHORIA', 'f'],
+            FIREWORK: ['FUEGO ARTIFICIAL', 'm'], 'PINE TREE': ['PINO', 'm'], PINEAPPLE: ['PIÑA', 'f'],
+            BLUEBERRY: ['ARÁNDANO', 'm'], SPRINKLE: ['GRAGEA', 'f'], RAINDROP: ['GOTA DE LLUVIA', 'f'],
+            CASTLE: ['CASTILLO', 'm'], RAINBOW: ['ARCOÍRIS', 'm'], 'HOT AIR BALLOON': ['GLOBO AEROSTÁTICO', 'm'],
+            DINOSAUR: ['DINOSAURIO', 'm'], BUNNY: ['CONEJITO', 'm'], CLOUD: ['NUBE', 'f'], PUPPY: ['CACHORRO', 'm'],
+            KITTEN: ['GATITO', 'm'], DUCK: ['PATO', 'm'],
+            UNKNOWN: ['OBJETO DESCONOCIDO', 'm']
+        },
+        // [masculine, feminine]
+        adjectives: {
+            ROUND: ['REDONDO', 'REDONDA'], SMOOTH: ['LISO', 'LISA'], SOFT: ['SUAVE', 'SUAVE'], CURVED: ['CURVO', 'CURVA'],
+            LONG: ['LARGO', 'LARGA'], STRETCHED: ['ESTIRADO', 'ESTIRADA'], TALL: ['ALTO', 'ALTA'], THIN: ['DELGADO', 'DELGADA'],
+            JAGGED: ['DENTADO', 'DENTADA'], TWISTED: ['RETORCIDO', 'RETORCIDA'], SHARP: ['AFILADO', 'AFILADA'],
+            SPIKY: ['PUNTIAGUDO', 'PUNTIAGUDA'], TINY: ['DIMINUTO', 'DIMINUTA'], LITTLE: ['PEQUEÑITO', 'PEQUEÑITA'],
+            SMALL: ['PEQUEÑO', 'PEQUEÑA'], MICRO: ['MICROSCÓPICO', 'MICROSCÓPICA'], GIANT: ['GIGANTE', 'GIGANTE'],
+            MASSIVE: ['MACIZO', 'MACIZA'], COLOSSAL: ['COLOSAL', 'COLOSAL'], MEGA: ['DESCOMUNAL', 'DESCOMUNAL'],
+            STRANGE: ['EXTRAÑO', 'EXTRAÑA'], HAZY: ['BORROSO', 'BORROSA'], MIRRORED: ['REFLEJADO', 'REFLEJADA'],
+            SILENT: ['SILENCIOSO', 'SILENCIOSA'], BOUNCY: ['SALTARÍN', 'SALTARINA'], CUDDLY: ['ACHUCHABLE', 'ACHUCHABLE'],
+            STRETCHY: ['ELÁSTICO', 'ELÁSTICA'], WIGGLY: ['ONDULANTE', 'ONDULANTE'], POINTY: ['PUNTIAGUDO', 'PUNTIAGUDA'],
+            SPARKLY: ['BRILLANTE', 'BRILLANTE'], ZIGZAG: ['EN ZIGZAG', 'EN ZIGZAG'], TEENY: ['CHIQUITITO', 'CHIQUITITA'],
+            'ITTY-BITTY': ['CHIQUITÍN', 'CHIQUITINA'], ENORMOUS: ['ENORME', 'ENORME'], JUMBO: ['GIGANTESCO', 'GIGANTESCA'],
+            FUNNY: ['GRACIOSO', 'GRACIOSA'], FRIENDLY: ['SIMPÁTICO', 'SIMPÁTICA'], HAPPY: ['FELIZ', 'FELIZ'],
+            SLEEPY: ['DORMILÓN', 'DORMILONA']
+        },
+        // UN / UNA by the noun's gender; the adjective follows the noun and agrees with it
+        phrase(noun, adjective) {
+            const feminine = noun.gender === 'f';
+            const article = feminine ? 'UNA' : 'UN';
+            if (!adjective) return `${article} ${noun.text}`;
+            const forms = adjective.forms || [adjective.text, adjective.text];
+            return `${article} ${noun.text} ${forms[feminine ? 1 : 0]}`;
+        }
+    },
+
+    fr: {
+        name: 'FRANÇAIS',
+        locale: 'fr',
+        promptLanguage: 'French',
+        messages: {
+            'status.init': 'INIT_SYSTÈME...',
+            'status.connecting': 'CONNEXION...',
+            'status.online': 'EN LIGNE',
+            'status.scanning': 'BALAYAGE...',
+            'status.frameUnavailable': 'IMAGE INDISPONIBLE',
+            'status.missingTiles': 'EN LIGNE : TUILES MANQUANTES',
+            'status.offlineStored': 'HORS LIGNE : RADAR STOCKÉ',
+            'status.offlineMode': 'MODE HORS LIGNE',
+            'status.playing': 'LECTURE',
+            'status.error': 'ERREUR',
+            'status.tracing': 'TRACÉ DES TACHES...',
+            'status.tracingFailed': 'ÉCHEC DU TRACÉ',
+            'status.pickBlob': { one: '1 TACHE : CLIQUEZ POUR LA CHOISIR', other: '{count} TACHES : CLIQUEZ SUR UNE' },
+            'status.blobSelected': 'TACHE SÉLECTIONNÉE',
+            'status.noShape': 'AUCUNE FORME DÉTECTÉE',
+            'status.analyzing': 'ANALYSE...',
+            'status.vision': 'VISION : {model}...',
+            'status.cancelled': 'ANALYSE ANNULÉE',
+            'status.complete': 'ANALYSE TERMINÉE',
+            'status.presetSaved': 'PRÉRÉGLAGE ENREGISTRÉ',
+            'status.presetSaveFailed': 'ÉCHEC DE L\'ENREGISTREMENT',
+            'status.presetRenameFailed': 'ÉCHEC DU RENOMMAGE',
+            'status.presetReserved': '{name} EST UN NOM RÉSERVÉ',
+            'status.saveFirst': 'ENREGISTREZ D\'ABORD UN PRÉRÉGLAGE',
+            'status.dictionarySaved': 'DICTIONNAIRE ENREGISTRÉ',
+            'status.dictionaryImported': 'DICTIONNAIRE IMPORTÉ',
+            'status.dictionaryDeleteFailed': 'ÉCHEC DE LA SUPPRESSION',
+            'status.importFailed': 'ÉCHEC DE L\'IMPORT : {error}',
+            'status.storeCleared': 'RADAR STOCKÉ EFFACÉ',
+
+            'error.message': 'ERR : {message}',
+            'error.noData': 'AUCUNE DONNÉE',
+            'error.connection': 'ÉCHEC DE CONNEXION',
+            'error.clear': 'ÉCHEC DE L\'EFFACEMENT',
+            'error.api': 'ERREUR API : {message}',
+            'error.timeout': 'DÉLAI DÉPASSÉ APRÈS {seconds}S',
+
+            'menu.hide': '[ MASQUER ]',
+            'menu.show': '[ MENU ]',
+
+            'view.label': 'MODE_D\'AFFICHAGE',
+            'view.radar': 'RADAR',
+            'view.inkblot': 'TACHE_D\'ENCRE',
+            'view.both': 'LES_DEUX',
+            'view.kaleido': 'KALÉIDO',
+
+            'radial.label': 'SYMÉTRIE_RADIALE',
+            'radial.rotational': 'ROTATION',
+            'radial.kaleidoscope': 'KALÉIDOSCOPE',
+            'radial.segments': { one: '{count}_SEGMENT', other: '{count}_SEGMENTS' },
+
+            'intensity.label': 'SEUIL_D\'ENCRE',
+            'intensity.flat': 'ENCRE_UNIE',
+            'intensity.levels': { one: '{count}_NIVEAU_DE_DENSITÉ', other: '{count}_NIVEAUX_DE_DENSITÉ' },
+            'intensity.noPalette': 'SANS_PALETTE: TOUTE_LA_PLUIE_FAIT_ENCRE',
+
+            'ink.label': 'RÉGLAGES_D\'ENCRE',
+            'ink.blur': 'FLOU',
+            'ink.contrast': 'CONTRASTE',
+            'ink.alpha': 'OPACITÉ',
+            'ink.overlayAlpha': 'OPACITÉ_SUPERPOSÉE',
+            'ink.outlineBlur': 'FLOU_DU_CONTOUR',
+            'ink.outlineContrast': 'CONTRASTE_DU_CONTOUR',
+            'ink.outlineThreshold': 'SEUIL_DU_CONTOUR',
+            'ink.outlineScale': 'ÉCHELLE_DU_CONTOUR',
+            'ink.outlineSimplify': 'SIMPLIFIER_LE_CONTOUR',
+            'preset.save': 'ENREGISTRER',
+            'preset.rename': 'RENOMMER',
+            'preset.export': 'EXPORTER',
+            'preset.custom': 'PERSONNALISÉ',
+            'preset.namePrompt': 'Nom du préréglage :',
+            'preset.renamePrompt': 'Renommer le préréglage :',
+            'preset.overwriteConfirm': 'Le préréglage « {name} » existe déjà. L\'écraser ?',
+
+            'symmetry.label': 'SYMÉTRIE',
+            'symmetry.vertical': 'PLI_VERTICAL',
+            'symmetry.horizontal': 'PLI_HORIZONTAL',
+            'symmetry.none': 'SANS_MIROIR',
+            'symmetry.viewport': 'AXE : CENTRE_DE_LA_VUE',
+            'symmetry.selection': 'AXE : CENTRE_DE_LA_SÉLECTION',
+            'symmetry.union': 'FUSION : UNION',
+            'symmetry.overlay': 'FUSION : SUPERPOSITION',
+            'symmetry.press': 'FUSION : PRESSE',
+
+            'crt.label': 'INTENSITÉ_CRT',
+            'scheme.label': 'PALETTE',
+            'scheme.green': 'PHOSPHORE_VERT',
+            'scheme.amber': 'TERMINAL_AMBRE',
+            'scheme.color': 'COULEUR_COMPLÈTE',
+            'language.label': 'LANGUE',
+
+            'interp.label': 'INTERPOLATION',
+            'interp.off': 'NON',
+            'interp.crossfade': 'FONDU',
+            'interp.motion': 'INTERPOLATION_DE_MOUVEMENT',
+            'interp.steps': { one: '{count}_ÉTAPE', other: '{count}_ÉTAPES' },
+
+            'wetInk.label': 'ENCRE_HUMIDE',
+            'wetInk.off': 'NON',
+            'wetInk.trail': { one: 'TRAÎNÉE : {count}_IMAGE', other: 'TRAÎNÉE : {count}_IMAGES' },
+            'wetInk.halfLife': { one: 'DEMI-VIE : {count}_IMAGE', other: 'DEMI-VIE : {count}_IMAGES' },
+
+            'frameCap.label': 'LIMITE_IPS',
+            'frameCap.uncapped': 'SANS_LIMITE',
+            'frameCap.fps': '{count}_IPS',
+
+            'dictionary.label': 'DICTIONNAIRE',
+            'dictionary.classic': 'CLASSIQUE',
+            'dictionary.edit': 'MODIFIER',
+            'dictionary.import': 'IMPORTER',
+            'dictionary.export': 'EXPORTER',
+            'dictionary.editor': 'ÉDITEUR_DE_DICTIONNAIRE',
+            'dictionary.save': 'ENREGISTRER',
+            'dictionary.delete': 'SUPPRIMER',
+            'dictionary.deleteConfirm': 'Supprimer le dictionnaire « {name} » ?',
+
+            'store.label': 'STOCKAGE_HORS_LIGNE',
+            'store.clear': 'EFFACER LE RADAR STOCKÉ',
+            'store.clearConfirm': 'Supprimer toutes les tuiles radar stockées sur cet appareil ?',
+
+            'select.start': 'SÉLECTIONNER UNE ZONE',
+            'select.again': 'RESÉLECTIONNER',
+            'select.cancel': 'ANNULER LA SÉLECTION',
+            'select.lock': '✅ VERROUILLER LA SÉLECTION',
+            'pick.start': 'CHOISIR UNE TACHE',
+            'pick.cancel': 'ANNULER LE CHOIX',
+
+            'analysis.title': 'MATRICE_D\'ANALYSE',
+            'analysis.local': 'ANALYSE_LOCALE',
+            'analysis.localHint': 'RAPIDE / HEURISTIQUE',
+            'analysis.cloud': 'VISION_CLOUD',
+            'analysis.cloudHint': 'PROFOND / {model}',
+            'analysis.apiKey': 'CLÉ API',
+            'analysis.apiKeyMissing': 'Veuillez saisir une clé API {provider} valide pour l\'analyse dans le cloud.',
+            'analysis.seed': 'GRAINE (AUTO)',
+            'analysis.sizeScreen': 'TAILLE : RELATIVE_À_L\'ÉCRAN',
+            'analysis.sizeAbsolute': 'TAILLE : ABSOLUE_KM',
+            'analysis.targetLargest': 'FORME : TACHE_LA_PLUS_GRANDE',
+            'analysis.targetCenter': 'FORME : LA_PLUS_PROCHE_DU_CENTRE',
+            'analysis.targetCombined': 'FORME : TOUTES_ENSEMBLE',
+            'analysis.timeout': 'DÉLAI : {seconds}S',
+            'analysis.timeoutOff': 'DÉLAI : AUCUN',
+            'analysis.cancel': 'ANNULER',
+            'vision.gemini': 'VISION : GEMINI',
+            'vision.openai': 'VISION : COMPATIBLE_OPENAI',
+            'vision.local': 'VISION : MODÈLE_LOCAL',
+            'vision.mock': 'VISION : SIMULÉE',
+            'analysis.start': 'QUE VOYEZ-VOUS ?',
+
+            'result.loading': 'ANALYSE DU MOTIF...',
+            'result.local': 'JE VOIS {phrase}',
+            'result.cloud': '{provider} VOIT : {label}',
+            'result.matches': 'CROQUIS : {matches}',
+            'result.seed': 'GRAINE {seed}',
+            'result.seedHint': 'Utiliser cette graine pour la prochaine analyse',
+            'result.confidence': 'CONFIANCE {value}',
+            'result.rank': '{rank} / {total}',
+            'result.prev': 'Réponse précédente',
+            'result.next': 'Réponse suivante',
+            'result.fallback': 'ÉCHEC DU CLOUD, SCAN LOCAL...',
+
+            'why.score': '{category} : {score} PTS',
+            'why.runnerUp': 'VS {category} : {score} PTS',
+            'why.term': '{term} {value} → +{points}',
+            'why.hint': 'INDICE {key} {value} ∈ {min}–{max}',
+            'why.shape': 'TROUS {holes} · LOBES {lobes} · SYMÉTRIE {symmetry} · AXE {axis}°',
+            'why.size': 'AIRE {area} KM² · PÉRIMÈTRE {perimeter} KM',
+            'why.extent': 'ÉTENDUE {extent} KM · CAP {bearing}°',
+            'why.dictionary': 'DICTIONNAIRE : {name}',
+
+            'category.round': 'ROND',
+            'category.elongated': 'ALLONGÉ',
+            'category.spiky': 'ÉPINEUX',
+            'category.tiny': 'MINUSCULE',
+            'category.huge': 'ÉNORME',
+            'category.generic': 'GÉNÉRIQUE',
+
+            'term.CIRCULARITY': 'CIRCULARITÉ',
+            'term.SOLIDITY': 'SOLIDITÉ',
+            'term.ASPECT': 'PROPORTIONS',
+            'term.LOBES': 'LOBES',
+            'term.RUGGEDNESS': 'RUGOSITÉ',
+            'term.EXTENT_KM': 'ÉTENDUE_KM',
+            'term.VIEW_SHARE': 'PART_DE_LA_VUE',
+            'term.BASELINE': 'BASE',
+            'term.SYMMETRY': 'SYMÉTRIE',
+            'term.HOLES': 'TROUS'
+        },
+        labels: {
+            MOON: ['LUNE', 'f'], COIN: ['PIÈCE', 'f'], SHIELD: ['BOUCLIER', 'm'], FACE: ['VISAGE', 'm'],
+            PLANET: ['PLANÈTE', 'f'], EGG: ['ŒUF', 'm'], TURTLE: ['TORTUE', 'f'], BEETLE: ['SCARABÉE', 'm'],
+            BALLOON: ['BALLON', 'm'], PEARL: ['PERLE', 'f'], BUBBLE: ['BULLE', 'f'], MARBLE: ['BILLE', 'f'],
+            YOLK: ['JAUNE D\'ŒUF', 'm'], DOME: ['DÔME', 'm'], IGLOO: ['IGLOO', 'm'], JELLYFISH: ['MÉDUSE', 'f'],
+            BUTTON: ['BOUTON', 'm'], COMPASS: ['BOUSSOLE', 'f'], RING: ['ANNEAU', 'm'],
+            SNAKE: ['SERPENT', 'm'], RIVER: ['RIVIÈRE', 'f'], WORM: ['VER', 'm'], SWORD: ['ÉPÉE', 'f'],
+            LIGHTNING: ['ÉCLAIR', 'm'], DNA: ['ADN', 'm'], GIRAFFE: ['GIRAFE', 'f'], VINE: ['VIGNE', 'f'],
+            COMET: ['COMÈTE', 'f'], TOWER: ['TOUR', 'f'], CIGAR: ['CIGARE', 'm'], FLUTE: ['FLÛTE', 'f'],
+            ICICLE: ['STALACTITE DE GLACE', 'f'], NEEDLE: ['AIGUILLE', 'f'], OBELISK: ['OBÉLISQUE', 'm'], STREAM: ['RUISSEAU', 'm'],
+            LADDER: ['ÉCHELLE', 'f'], TRAIN: ['TRAIN', 'm'], GUITAR: ['GUITARE', 'f'],
+            EXPLOSION: ['EXPLOSION', 'f'], MONSTER: ['MONSTRE', 'm'], SPLASH: ['ÉCLABOUSSURE', 'f'], TREE: ['ARBRE', 'm'],
+            DRAGON: ['DRAGON', 'm'], CROWN: ['COURONNE', 'f'], CACTUS: ['CACTUS', 'm'], STAR: ['ÉTOILE', 'f'],
+            DEMON: ['DÉMON', 'm'], SHARD: ['ÉCLAT', 'm'], THORN: ['ÉPINE', 'f'], SHURIKEN: ['SHURIKEN', 'm'],
+            URCHIN: ['OURSIN', 'm'], MACE: ['MASSE D\'ARMES', 'f'], CRACK: ['FISSURE', 'f'], CLAW: ['PINCE', 'f'],
+            BUG: ['INSECTE', 'm'], DOT: ['POINT', 'm'], PEBBLE: ['CAILLOU', 'm'], SEED: ['GRAINE', 'f'],
+            ANT: ['FOURMI', 'f'], BERRY: ['BAIE', 'f'], ATOM: ['ATOME', 'm'], SPECK: ['GRAIN DE POUSSIÈRE', 'm'],
+            CRUMB: ['MIETTE', 'f'], PIXEL: ['PIXEL', 'm'], FLEA: ['PUCE', 'f'], SPARK: ['ÉTINCELLE', 'f'],
+            DROPLET: ['GOUTTELETTE', 'f'], MICROBE: ['MICROBE', 'm'], DUST: ['POUSSIÈRE', 'f'],
+            WHALE: ['BALEINE', 'f'], MOUNTAIN: ['MONTAGNE', 'f'], TITAN: ['TITAN', 'm'], FOREST: ['FORÊT', 'f'],
+            CITY: ['VILLE', 'f'], ELEPHANT: ['ÉLÉPHANT', 'm'], GALAXY: ['GALAXIE', 'f'], LEVIATHAN: ['LÉVIATHAN', 'm'],
+            KAIJU: ['KAIJU', 'm'], ASTEROID: ['ASTÉROÏDE', 'm'], CONTINENT: ['CONTINENT', 'm'], GLACIER: ['GLACIER', 'm'],
+            MONOLITH: ['MONOLITHE', 'm'], STORM: ['TEMPÊTE', 'f'], VOLCANO: ['VOLCAN', 'm'],
+            RABBIT: ['LAPIN', 'm'], BUTTERFLY: ['PAPILLON', 'm'], GHOST: ['FANTÔME', 'm'], SKULL: ['CRÂNE', 'm'],
+            BIRD: ['OISEAU', 'm'], FISH: ['POISSON', 'm'], BAT: ['CHAUVE-SOURIS', 'f'], MASK: ['MASQUE', 'm'],
+            INKBLOT: ['TACHE D\'ENCRE', 'f'], SHADOW: ['OMBRE', 'f'], STAIN: ['TACHE', 'f'], SILHOUETTE: ['SILHOUETTE', 'f'],
+            PHANTOM: ['SPECTRE', 'm'], MIRAGE: ['MIRAGE', 'm'], ECHO: ['ÉCHO', 'm'], VORTEX: ['VORTEX', 'm'],
+            GLITCH: ['BUG', 'm'], SPIRIT: ['ESPRIT', 'm'],
+            HEDGEHOG: ['HÉRISSON', 'm'], PUFFERFISH: ['POISSON-GLOBE', 'm'], OWL: ['HIBOU', 'm'], FROG: ['GRENOUILLE', 'f'],
+            LADYBUG: ['COCCINELLE', 'f'], HAMSTER: ['HAMSTER', 'm'], EEL: ['ANGUILLE', 'f'], CROCODILE: ['CROCODILE', 'm'],
+            CATERPILLAR: ['CHENILLE', 'f'], DACHSHUND: ['TECKEL', 'm'], LIZARD: ['LÉZARD', 'm'], SPIDER: ['ARAIGNÉE', 'f'],
+            OCTOPUS: ['PIEUVRE', 'f'], CRAB: ['CRABE', 'm'], PORCUPINE: ['PORC-ÉPIC', 'm'], LOBSTER: ['HOMARD', 'm'],
+            STARFISH: ['ÉTOILE DE MER', 'f'], SCORPION: ['SCORPION', 'm'], MOUSE: ['SOURIS', 'f'], BEE: ['ABEILLE', 'f'],
+            SNAIL: ['ESCARGOT', 'm'], TADPOLE: ['TÊTARD', 'm'], 'GIANT SQUID': ['CALMAR GÉANT', 'm'], MAMMOTH: ['MAMMOUTH', 'm'],
+            BRONTOSAURUS: ['BRONTOSAURE', 'm'], HIPPO: ['HIPPOPOTAME', 'm'], MOTH: ['PAPILLON DE NUIT', 'm'], FOX: ['RENARD', 'm'],
+            BEAR: ['OURS', 'm'],
+            'FLYING SAUCER': ['SOUCOUPE VOLANTE', 'f'], 'DEATH STAR': ['ÉTOILE NOIRE', 'f'],
+            'DYSON SPHERE': ['SPHÈRE DE DYSON', 'f'], 'ESCAPE POD': ['CAPSULE DE SAUVETAGE', 'f'],
+            'ROBOT HEAD': ['TÊTE DE ROBOT', 'f'], WORMHOLE: ['TROU DE VER', 'm'], STARSHIP: ['VAISSEAU SPATIAL', 'm'],
+            LIGHTSABER: ['SABRE LASER', 'm'], 'SPACE ELEVATOR': ['ASCENSEUR SPATIAL', 'm'], 'RAY GUN': ['PISTOLET LASER', 'm'],
+            SANDWORM: ['VER DES SABLES', 'm'], 'LASER BEAM': ['RAYON LASER', 'm'], ALIEN: ['EXTRATERRESTRE', 'm'],
+            XENOMORPH: ['XÉNOMORPHE', 'm'], 'SPACE STATION': ['STATION SPATIALE', 'f'], MECH: ['MECHA', 'm'],
+            SUPERNOVA: ['SUPERNOVA', 'f'], 'NANOBOT SWARM': ['ESSAIM DE NANOROBOTS', 'm'], NANOBOT: ['NANOROBOT', 'm'],
+            PROBE: ['SONDE', 'f'], 'ENERGY CELL': ['CELLULE D\'ÉNERGIE', 'f'], ANTIMATTER: ['ANTIMATIÈRE', 'f'],
+            DRONE: ['DRONE', 'm'], MOTHERSHIP: ['VAISSEAU-MÈRE', 'm'], RINGWORLD: ['MONDE-ANNEAU', 'm'],
+            'GAS GIANT': ['GÉANTE GAZEUSE', 'f'], NEBULA: ['NÉBULEUSE', 'f'], 'HIVE FLEET': ['FLOTTE-RUCHE', 'f'],
+            'TIME MACHINE': ['MACHINE À REMONTER LE TEMPS', 'f'], TELEPORTER: ['TÉLÉPORTEUR', 'm'], HOLOGRAM: ['HOLOGRAMME', 'm'],
+            ANDROID: ['ANDROÏDE', 'm'], PORTAL: ['PORTAIL', 'm'], STARGATE: ['PORTE DES ÉTOILES', 'f'],
+            COOKIE: ['BISCUIT', 'm'], 'BEACH BALL': ['BALLON DE PLAGE', 'm'], DONUT: ['BEIGNET', 'm'],
+            'TEDDY BEAR': ['NOUNOURS', 'm'], PANCAKE: ['CRÊPE', 'f'], CRAYON: ['CRAYON', 'm'],
+            BANANA: ['BANANE', 'f'], 'KITE TAIL': ['QUEUE DE CERF-VOLANT', 'f'], CARROT: ['CAROTTE', 'f'],
+            FIREWORK: ['FEU D\'ARTIFICE', 'm'], 'PINE TREE': ['SAPIN', 'm'], PINEAPPLE: ['ANANAS', 'm'],
+            BLUEBERRY: ['MYRTILLE', 'f'], SPRINKLE: ['VERMICELLE', 'm'], RAINDROP: ['GOUTTE DE PLUIE', 'f'],
+            CASTLE: ['CHÂTEAU', 'm'], RAINBOW: ['ARC-EN-CIEL', 'm'], 'HOT AIR BALLOON': ['MONTGOLFIÈRE', 'f'],
+            DINOSAUR: ['DINOSAURE', 'm'], BUNNY: ['LAPINOU', 'm'], CLOUD: ['NUAGE', 'm'], PUPPY: ['CHIOT', 'm'],
+            KITTEN: ['CHATON', 'm'], DUCK: ['CANARD', 'm'],
+            UNKNOWN: ['OBJET INCONNU', 'm']
+        },
+        // [masculine, feminine], plus 'before' for the few adjectives that go in front of the noun
+        adjectives: {
+            ROUND: ['ROND', 'RONDE'], SMOOTH: ['LISSE', 'LISSE'], SOFT: ['DOUX', 'DOUCE'], CURVED: ['COURBE', 'COURBE'],
+            LONG: ['LONG', 'LONGUE', 'before'], STRETCHED: ['ÉTIRÉ', 'ÉTIRÉE'], TALL: ['GRAND', 'GRANDE', 'before'],
+            THIN: ['MINCE', 'MINCE'], JAGGED: ['DENTELÉ', 'DENTELÉE'], TWISTED: ['TORDU', 'TORDUE'],
+            SHARP: ['ACÉRÉ', 'ACÉRÉE'], SPIKY: ['HÉRISSÉ', 'HÉRISSÉE'], TINY: ['MINUSCULE', 'MINUSCULE'],
+            LITTLE: ['PETIT', 'PETITE', 'before'], SMALL: ['MENU', 'MENUE'], MICRO: ['MICROSCOPIQUE', 'MICROSCOPIQUE'],
+            GIANT: ['GÉANT', 'GÉANTE'], MASSIVE: ['MASSIF', 'MASSIVE'], COLOSSAL: ['COLOSSAL', 'COLOSSALE'],
+            MEGA: ['GIGANTESQUE', 'GIGANTESQUE'], STRANGE: ['ÉTRANGE', 'ÉTRANGE'], HAZY: ['FLOU', 'FLOUE'],
+            MIRRORED: ['REFLÉTÉ', 'REFLÉTÉE'], SILENT: ['SILENCIEUX', 'SILENCIEUSE'], BOUNCY: ['REBONDISSANT', 'REBONDISSANTE'],
+            CUDDLY: ['CÂLIN', 'CÂLINE'], STRETCHY: ['ÉLASTIQUE', 'ÉLASTIQUE'], WIGGLY: ['ONDULANT', 'ONDULANTE'],
+            POINTY: ['POINTU', 'POINTUE'], SPARKLY: ['SCINTILLANT', 'SCINTILLANTE'], ZIGZAG: ['EN ZIGZAG', 'EN ZIGZAG'],
+            TEENY: ['TOUT PETIT', 'TOUTE PETITE', 'before'], 'ITTY-BITTY': ['RIQUIQUI', 'RIQUIQUI'],
+            ENORMOUS: ['ÉNORME', 'ÉNORME'], JUMBO: ['IMMENSE', 'IMMENSE'], FUNNY: ['RIGOLO', 'RIGOLOTE'],
+            FRIENDLY: ['GENTIL', 'GENTILLE', 'before'], HAPPY: ['JOYEUX', 'JOYEUSE'], SLEEPY: ['ENDORMI', 'ENDORMIE']
+        },
+        // UN / UNE by the noun's gender; adjectives agree and mostly follow the noun
+        phrase(noun, adjective) {
+            const feminine = noun.gender === 'f';
+            const article = feminine ? 'UNE' : 'UN';
+            if (!adjective) return `${article} ${noun.text}`;
+
+            const [masculine, feminineForm, position] = adjective.forms || [adjective.text, adjective.text];
+            const form = feminine ? feminineForm : masculine;
+            return position === 'before'
+                ? `${article} ${form} ${noun.text}`
+                : `${article} ${noun.text} ${form}`;
+        }
+    },
+
+    de: {
+        name: 'DEUTSCH',
+        locale: 'de',
+        promptLanguage: 'German',
+        messages: {
+            'status.init': 'SYSTEMSTART...',
+            'status.connecting': 'VERBINDE...',
+            'status.online': 'ONLINE',
+            'status.scanning': 'SCANNE...',
+            'status.frameUnavailable': 'BILD NICHT VERFÜGBAR',
+            'status.missingTiles': 'ONLINE: KACHELN FEHLEN',
+            'status.offlineStored': 'OFFLINE: GESPEICHERTES RADAR',
+            'status.offlineMode': 'OFFLINE-MODUS',
+            'status.playing': 'WIEDERGABE',
+            'status.error': 'FEHLER',
+            'status.tracing': 'KLECKSE WERDEN NACHGEZOGEN...',
+            'status.tracingFailed': 'NACHZIEHEN FEHLGESCHLAGEN',
+            'status.pickBlob': { one: '1 KLECKS: ZUM AUSWÄHLEN KLICKEN', other: '{count} KLECKSE: EINEN ANKLICKEN' },
+            'status.blobSelected': 'KLECKS AUSGEWÄHLT',
+            'status.noShape': 'KEINE FORM ERKANNT',
+            'status.analyzing': 'ANALYSIERE...',
+            'status.vision': 'VISION: {model}...',
+            'status.cancelled': 'ANALYSE ABGEBROCHEN',
+            'status.complete': 'ANALYSE ABGESCHLOSSEN',
+            'status.presetSaved': 'VOREINSTELLUNG GESPEICHERT',
+            'status.presetSaveFailed': 'SPEICHERN FEHLGESCHLAGEN',
+            'status.presetRenameFailed': 'UMBENENNEN FEHLGESCHLAGEN',
+            'status.presetReserved': '{name} IST EIN RESERVIERTER NAME',
+            'status.saveFirst': 'ZUERST EINE VOREINSTELLUNG SPEICHERN',
+            'status.dictionarySaved': 'WÖRTERBUCH GESPEICHERT',
+            'status.dictionaryImported': 'WÖRTERBUCH IMPORTIERT',
+            'status.dictionaryDeleteFailed': 'LÖSCHEN FEHLGESCHLAGEN',
+            'status.importFailed': 'IMPORT FEHLGESCHLAGEN: {error}',
+            'status.storeCleared': 'GESPEICHERTES RADAR GELÖSCHT',
+
+            'error.message': 'FEHLER: {message}',
+            'error.noData': 'KEINE DATEN',
+            'error.connection': 'VERBINDUNG FEHLGESCHLAGEN',
+            'error.clear': 'LÖSCHEN FEHLGESCHLAGEN',
+            'error.api': 'API-FEHLER: {message}',
+            'error.timeout': 'ZEITÜBERSCHREITUNG NACH {seconds}S',
+
+            'menu.hide': '[ AUSBLENDEN ]',
+            'menu.show': '[ MENÜ ]',
+
+            'view.label': 'ANSICHT',
+            'view.radar': 'RADAR',
+            'view.inkblot': 'TINTENKLECKS',
+            'view.both': 'BEIDES',
+            'view.kaleido': 'KALEIDO',
+
+            'radial.label': 'RADIALSYMMETRIE',
+            'radial.rotational': 'ROTATION',
+            'radial.kaleidoscope': 'KALEIDOSKOP',
+            'radial.segments': { one: '{count}_SEGMENT', other: '{count}_SEGMENTE' },
+
+            'intensity.label': 'TINTENSCHWELLE',
+            'intensity.flat': 'FLACHE_TINTE',
+            'intensity.levels': { one: '{count}_DICHTESTUFE', other: '{count}_DICHTESTUFEN' },
+            'intensity.noPalette': 'KEINE_PALETTE: ALLER_REGEN_IST_TINTE',
+
+            'ink.label': 'TINTENEINSTELLUNGEN',
+            'ink.blur': 'UNSCHÄRFE',
+            'ink.contrast': 'KONTRAST',
+            'ink.alpha': 'DECKKRAFT',
+            'ink.overlayAlpha': 'ÜBERLAGERUNG_DECKKRAFT',
+            'ink.outlineBlur': 'KONTUR_UNSCHÄRFE',
+            'ink.outlineContrast': 'KONTUR_KONTRAST',
+            'ink.outlineThreshold': 'KONTUR_SCHWELLE',
+            'ink.outlineScale': 'KONTUR_MASSSTAB',
+            'ink.outlineSimplify': 'KONTUR_VEREINFACHEN',
+            'preset.save': 'SPEICHERN',
+            'preset.rename': 'UMBENENNEN',
+            'preset.export': 'EXPORTIEREN',
+            'preset.custom': 'BENUTZERDEFINIERT',
+            'preset.namePrompt': 'Name der Voreinstellung:',
+            'preset.renamePrompt': 'Voreinstellung umbenennen:',
+            'preset.overwriteConfirm': 'Die Voreinstellung „{name}“ existiert bereits. Überschreiben?',
+
+            'symmetry.label': 'SYMMETRIE',
+            'symmetry.vertical': 'SENKRECHTE_FALTUNG',
+            'symmetry.horizontal': 'WAAGERECHTE_FALTUNG',
+            'symmetry.none': 'KEIN_SPIEGEL',
+            'symmetry.viewport': 'ACHSE: ANSICHTSMITTE',
+            'symmetry.selection': 'ACHSE: AUSWAHLMITTE',
+            'symmetry.union': 'MISCHUNG: VEREINIGUNG',
+            'symmetry.overlay': 'MISCHUNG: ÜBERLAGERUNG',
+            'symmetry.press': 'MISCHUNG: ABDRUCK',
+
+            'crt.label': 'CRT_INTENSITÄT',
+            'scheme.label': 'FARBSCHEMA',
+            'scheme.green': 'PHOSPHOR_GRÜN',
+            'scheme.amber': 'BERNSTEIN_TERMINAL',
+            'scheme.color': 'VOLLFARBE',
+            'language.label': 'SPRACHE',
+
+            'interp.label': 'INTERPOLATION',
+            'interp.off': 'AUS',
+            'interp.crossfade': 'ÜBERBLENDEN',
+            'interp.motion': 'BEWEGUNGS_TWEEN',
+            'interp.steps': { one: '{count}_SCHRITT', other: '{count}_SCHRITTE' },
+
+            'wetInk.label': 'NASSE_TINTE',
+            'wetInk.off': 'AUS',
+            'wetInk.trail': { one: 'SPUR: {count}_BILD', other: 'SPUR: {count}_BILDER' },
+            'wetInk.halfLife': { one: 'HALBWERTSZEIT: {count}_BILD', other: 'HALBWERTSZEIT: {count}_BILDER' },
+
+            'frameCap.label': 'BILDRATE',
+            'frameCap.uncapped': 'UNBEGRENZT',
+            'frameCap.fps': '{count}_FPS',
+
+            'dictionary.label': 'WÖRTERBUCH',
+            'dictionary.classic': 'KLASSISCH',
+            'dictionary.edit': 'BEARBEITEN',
+            'dictionary.import': 'IMPORTIEREN',
+            'dictionary.export': 'EXPORTIEREN',
+            'dictionary.editor': 'WÖRTERBUCH_EDITOR',
+            'dictionary.save': 'SPEICHERN',
+            'dictionary.delete': 'LÖSCHEN',
+            'dictionary.deleteConfirm': 'Wörterbuch „{name}“ löschen?',
+
+            'store.label': 'OFFLINE_SPEICHER',
+            'store.clear': 'GESPEICHERTES RADAR LÖSCHEN',
+            'store.clearConfirm': 'Alle auf diesem Gerät gespeicherten Radarkacheln löschen?',
+
+            'select.start': 'ZIELBEREICH WÄHLEN',
+            'select.again': 'NEU AUSWÄHLEN',
+            'select.cancel': 'AUSWAHL ABBRECHEN',
+            'select.lock': '✅ AUSWAHL FESTLEGEN',
+            'pick.start': 'KLECKS WÄHLEN',
+            'pick.cancel': 'WAHL ABBRECHEN',
+
+            'analysis.title': 'ANALYSE_MATRIX',
+            'analysis.local': 'LOKALER_SCAN',
+            'analysis.localHint': 'SCHNELL / HEURISTISCH',
+            'analysis.cloud': 'CLOUD_VISION',
+            'analysis.cloudHint': 'TIEF / {model}',
+            'analysis.apiKey': 'API-SCHLÜSSEL',
+            'analysis.apiKeyMissing': 'Bitte einen gültigen {provider}-API-Schlüssel für die Cloud-Analyse eingeben.',
+            'analysis.seed': 'SEED (AUTO)',
+            'analysis.sizeScreen': 'GRÖSSE: RELATIV_ZUM_BILDSCHIRM',
+            'analysis.sizeAbsolute': 'GRÖSSE: ABSOLUT_KM',
+            'analysis.targetLargest': 'FORM: GRÖSSTER_FLECK',
+            'analysis.targetCenter': 'FORM: NÄCHSTE_ZUR_MITTE',
+            'analysis.targetCombined': 'FORM: ALLE_ZUSAMMEN',
+            'analysis.timeout': 'ZEITLIMIT: {seconds}S',
+            'analysis.timeoutOff': 'ZEITLIMIT: AUS',
+            'analysis.cancel': 'ABBRECHEN',
+            'vision.gemini': 'VISION: GEMINI',
+            'vision.openai': 'VISION: OPENAI_KOMPATIBEL',
+            'vision.local': 'VISION: LOKALES_MODELL',
+            'vision.mock': 'VISION: SIMULIERT',
+            'analysis.start': 'WAS SIEHST DU?',
+
+            'result.loading': 'MUSTER WIRD ANALYSIERT...',
+            'result.local': 'ICH SEHE {phrase}',
+            'result.cloud': '{provider} SIEHT: {label}',
+            'result.matches': 'SKIZZEN-TREFFER: {matches}',
+            'result.seed': 'SEED {seed}',
+            'result.seedHint': 'Diesen Seed für die nächste Analyse verwenden',
+            'result.confidence': 'KONFIDENZ {value}',
+            'result.rank': '{rank} / {total}',
+            'result.prev': 'Vorherige Antwort',
+            'result.next': 'Nächste Antwort',
+            'result.fallback': 'CLOUD FEHLGESCHLAGEN, LOKALER SCAN...',
+
+            'why.score': '{category}: {score} PKT',
+            'why.runnerUp': 'VS {category}: {score} PKT',
+            'why.term': '{term} {value} → +{points}',
+            'why.hint': 'HINWEIS {key} {value} ∈ {min}–{max}',
+            'why.shape': 'LÖCHER {holes} · LAPPEN {lobes} · SYMMETRIE {symmetry} · ACHSE {axis}°',
+            'why.size': 'FLÄCHE {area} KM² · UMFANG {perimeter} KM',
+            'why.extent': 'AUSDEHNUNG {extent} KM · PEILUNG {bearing}°',
+            'why.dictionary': 'WÖRTERBUCH: {name}',
+
+            'category.round': 'RUND',
+            'category.elongated': 'LÄNGLICH',
+            'category.spiky': 'STACHELIG',
+            'category.tiny': 'WINZIG',
+            'category.huge': 'RIESIG',
+            'category.generic': 'ALLGEMEIN',
+
+            'term.CIRCULARITY': 'KREISFÖRMIGKEIT',
+            'term.SOLIDITY': 'KOMPAKTHEIT',
+            'term.ASPECT': 'SEITENVERHÄLTNIS',
+            'term.LOBES': 'LAPPEN',
+            'term.RUGGEDNESS': 'ZERKLÜFTUNG',
+            'term.EXTENT_KM': 'AUSDEHNUNG_KM',
+            'term.VIEW_SHARE': 'ANTEIL_DER_ANSICHT',
+            'term.BASELINE': 'GRUNDWERT',
+            'term.SYMMETRY': 'SYMMETRIE',
+            'term.HOLES': 'LÖCHER'
+        },
+        // [text, gender (m / f / n), accusative for weak masculine nouns]
+        labels: {
+            MOON: ['MOND', 'm'], COIN: ['MÜNZE', 'f'], SHIELD: ['SCHILD', 'm'], FACE: ['GESICHT', 'n'],
+            PLANET: ['PLANET', 'm', 'PLANETEN'], EGG: ['EI', 'n'], TURTLE: ['SCHILDKRÖTE', 'f'], BEETLE: ['KÄFER', 'm'],
+            BALLOON: ['BALLON', 'm'], PEARL: ['PERLE', 'f'], BUBBLE: ['BLASE', 'f'], MARBLE: ['MURMEL', 'f'],
+            YOLK: ['EIGELB', 'n'], DOME: ['KUPPEL', 'f'], IGLOO: ['IGLU', 'n'], JELLYFISH: ['QUALLE', 'f'],
+            BUTTON: ['KNOPF', 'm'], COMPASS: ['KOMPASS', 'm'], RING: ['RING', 'm'],
+            SNAKE: ['SCHLANGE', 'f'], RIVER: ['FLUSS', 'm'], WORM: ['WURM', 'm'], SWORD: ['SCHWERT', 'n'],
+            LIGHTNING: ['BLITZ', 'm'], DNA: ['DNA', 'f'], GIRAFFE: ['GIRAFFE', 'f'], VINE: ['RANKE', 'f'],
+            COMET: ['KOMET', 'm', 'KOMETEN'], TOWER: ['TURM', 'm'], CIGAR: ['ZIGARRE', 'f'], FLUTE: ['FLÖTE', 'f'],
+            ICICLE: ['EISZAPFEN', 'm'], NEEDLE: ['NADEL', 'f'], OBELISK: ['OBELISK', 'm', 'OBELISKEN'], STREAM: ['BACH', 'm'],
+            LADDER: ['LEITER', 'f'], TRAIN: ['ZUG', 'm'], GUITAR: ['GITARRE', 'f'],
+            EXPLOSION: ['EXPLOSION', 'f'], MONSTER: ['MONSTER', 'n'], SPLASH: ['SPRITZER', 'm'], TREE: ['BAUM', 'm'],
+            DRAGON: ['DRACHE', 'm', 'DRACHEN'], CROWN: ['KRONE', 'f'], CACTUS: ['KAKTUS', 'm'], STAR: ['STERN', 'm'],
+            DEMON: ['DÄMON', 'm'], SHARD: ['SCHERBE', 'f'], THORN: ['DORN', 'm'], SHURIKEN: ['WURFSTERN', 'm'],
+            URCHIN: ['SEEIGEL', 'm'], MACE: ['STREITKOLBEN', 'm'], CRACK: ['RISS', 'm'], CLAW: ['KLAUE', 'f'],
+            BUG: ['KÄFER', 'm'], DOT: ['PUNKT', 'm'], PEBBLE: ['KIESEL', 'm'], SEED: ['SAMEN', 'm'],
+            ANT: ['AMEISE', 'f'], BERRY: ['BEERE', 'f'], ATOM: ['ATOM', 'n'], SPECK: ['STÄUBCHEN', 'n'],
+            CRUMB: ['KRÜMEL', 'm'], PIXEL: ['PIXEL', 'n'], FLEA: ['FLOH', 'm'], SPARK: ['FUNKE', 'm', 'FUNKEN'],
+            DROPLET: ['TRÖPFCHEN', 'n'], MICROBE: ['MIKROBE', 'f'], DUST: ['STAUB', 'm'],
+            WHALE: ['WAL', 'm'], MOUNTAIN: ['BERG', 'm'], TITAN: ['TITAN', 'm', 'TITANEN'], FOREST: ['WALD', 'm'],
+            CITY: ['STADT', 'f'], ELEPHANT: ['ELEFANT', 'm', 'ELEFANTEN'], GALAXY: ['GALAXIE', 'f'], LEVIATHAN: ['LEVIATHAN', 'm'],
+            KAIJU: ['KAIJU', 'm'], ASTEROID: ['ASTEROID', 'm', 'ASTEROIDEN'], CONTINENT: ['KONTINENT', 'm'], GLACIER: ['GLETSCHER', 'm'],
+            MONOLITH: ['MONOLITH', 'm'], STORM: ['STURM', 'm'], VOLCANO: ['VULKAN', 'm'],
+            RABBIT: ['HASE', 'm', 'HASEN'], BUTTERFLY: ['SCHMETTERLING', 'm'], GHOST: ['GESPENST', 'n'], SKULL: ['SCHÄDEL', 'm'],
+            BIRD: ['VOGEL', 'm'], FISH: ['FISCH', 'm'], BAT: ['FLEDERMAUS', 'f'], MASK: ['MASKE', 'f'],
+            INKBLOT: ['TINTENKLECKS', 'm'], SHADOW: ['SCHATTEN', 'm'], STAIN: ['FLECK', 'm'], SILHOUETTE: ['SILHOUETTE', 'f'],
+            PHANTOM: ['PHANTOM', 'n'], MIRAGE: ['LUFTSPIEGELUNG', 'f'], ECHO: ['ECHO', 'n'], VORTEX: ['WIRBEL', 'm'],
+            GLITCH: ['GLITCH', 'm'], SPIRIT: ['GEIST', 'm'],
+            HEDGEHOG: ['IGEL', 'm'], PUFFERFISH: ['KUGELFISCH', 'm'], OWL: ['EULE', 'f'], FROG: ['FROSCH', 'm'],
+            LADYBUG: ['MARIENKÄFER', 'm'], HAMSTER: ['HAMSTER', 'm'], EEL: ['AAL', 'm'], CROCODILE: ['KROKODIL', 'n'],
+            CATERPILLAR: ['RAUPE', 'f'], DACHSHUND: ['DACKEL', 'm'], LIZARD: ['EIDECHSE', 'f'], SPIDER: ['SPINNE', 'f'],
+            OCTOPUS: ['TINTENFISCH', 'm'], CRAB: ['KRABBE', 'f'], PORCUPINE: ['STACHELSCHWEIN', 'n'], LOBSTER: ['HUMMER', 'm'],
+            STARFISH: ['SEESTERN', 'm'], SCORPION: ['SKORPION', 'm'], MOUSE: ['MAUS', 'f'], BEE: ['BIENE', 'f'],
+            SNAIL: ['SCHNECKE', 'f'], TADPOLE: ['KAULQUAPPE', 'f'], 'GIANT SQUID': ['RIESENKALMAR', 'm'], MAMMOTH: ['MAMMUT', 'n'],
+            BRONTOSAURUS: ['BRONTOSAURUS', 'm'], HIPPO: ['NILPFERD', 'n'], MOTH: ['MOTTE', 'f'], FOX: ['FUCHS', 'm'],
+            BEAR: ['BÄR', 'm', 'BÄREN'],
+            'FLYING SAUCER': ['FLIEGENDE UNTERTASSE', 'f'], 'DEATH STAR': ['TODESSTERN', 'm'],
+            'DYSON SPHERE': ['DYSON-SPHÄRE', 'f'], 'ESCAPE POD': ['RETTUNGSKAPSEL', 'f'],
+            'ROBOT HEAD': ['ROBOTERKOPF', 'm'], WORMHOLE: ['WURMLOCH', 'n'], STARSHIP: ['RAUMSCHIFF', 'n'],
+            LIGHTSABER: ['LICHTSCHWERT', 'n'], 'SPACE ELEVATOR': ['WELTRAUMLIFT', 'm'], 'RAY GUN': ['STRAHLENPISTOLE', 'f'],
+            SANDWORM: ['SANDWURM', 'm'], 'LASER BEAM': ['LASERSTRAHL', 'm'], ALIEN: ['ALIEN', 'n'],
+            XENOMORPH: ['XENOMORPH', 'm'], 'SPACE STATION': ['RAUMSTATION', 'f'], MECH: ['MECH', 'm'],
+            SUPERNOVA: ['SUPERNOVA', 'f'], 'NANOBOT SWARM': ['NANOBOTSCHWARM', 'm'], NANOBOT: ['NANOBOT', 'm'],
+            PROBE: ['SONDE', 'f'], 'ENERGY CELL': ['ENERGIEZELLE', 'f'], ANTIMATTER: ['ANTIMATERIE', 'f'],
+            DRONE: ['DROHNE', 'f'], MOTHERSHIP: ['MUTTERSCHIFF', 'n'], RINGWORLD: ['RINGWELT', 'f'],
+            'GAS GIANT': ['GASRIESE', 'm', 'GASRIESEN'], NEBULA: ['NEBEL', 'm'], 'HIVE FLEET': ['SCHWARMFLOTTE', 'f'],
+            'TIME MACHINE': ['ZEITMASCHINE', 'f'], TELEPORTER: ['TELEPORTER', 'm'], HOLOGRAM: ['HOLOGRAMM', 'n'],
+            ANDROID: ['ANDROIDE', 'm', 'ANDROIDEN'], PORTAL: ['PORTAL', 'n'], STARGATE: ['STERNENTOR', 'n'],
+            COOKIE: ['KEKS', 'm'], 'BEACH BALL': ['WASSERBALL', 'm'], DONUT: ['DONUT', 'm'],
+            'TEDDY BEAR': ['TEDDYBÄR', 'm', 'TEDDYBÄREN'], PANCAKE: ['PFANNKUCHEN', 'm'], CRAYON: ['WACHSMALSTIFT', 'm'],
+            BANANA: ['BANANE', 'f'], 'KITE TAIL': ['DRACHENSCHWANZ', 'm'], CARROT: ['KAROTTE', 'f'],
+            FIREWORK: ['FEUERWERK', 'n'], 'PINE TREE': ['TANNENBAUM', 'm'], PINEAPPLE: ['ANANAS', 'f'],
+            BLUEBERRY: ['BLAUBEERE', 'f'], SPRINKLE: ['STREUSEL', 'm'], RAINDROP: ['REGENTROPFEN', 'm'],
+            CASTLE: ['SCHLOSS', 'n'], RAINBOW: ['REGENBOGEN', 'm'], 'HOT AIR BALLOON': ['HEISSLUFTBALLON', 'm'],
+            DINOSAUR: ['DINOSAURIER', 'm'], BUNNY: ['HÄSCHEN', 'n'], CLOUD: ['WOLKE', 'f'], PUPPY: ['WELPE', 'm', 'WELPEN'],
+            KITTEN: ['KÄTZCHEN', 'n'], DUCK: ['ENTE', 'f'],
+            UNKNOWN: ['UNBEKANNTES OBJEKT', 'n']
+        },
+        // Stems; the ending depends on the noun's gender (see phrase)
+        adjectives: {
+            ROUND: 'RUND', SMOOTH: 'GLATT', SOFT: 'WEICH', CURVED: 'GEBOGEN', LONG: 'LANG', STRETCHED: 'GEDEHNT',
+            TALL: 'HOCHGEWACHSEN', THIN: 'DÜNN', JAGGED: 'GEZACKT', TWISTED: 'VERDREHT', SHARP: 'SCHARF',
+            SPIKY: 'STACHELIG', TINY: 'WINZIG', LITTLE: 'KLEIN', SMALL: 'ZIERLICH', MICRO: 'MIKROSKOPISCH',
+            GIANT: 'RIESIG', MASSIVE: 'MASSIG', COLOSSAL: 'KOLOSSAL', MEGA: 'GIGANTISCH', STRANGE: 'SELTSAM',
+            HAZY: 'VERSCHWOMMEN', MIRRORED: 'GESPIEGELT', SILENT: 'STILL', BOUNCY: 'HÜPFEND', CUDDLY: 'KUSCHELIG',
+            STRETCHY: 'DEHNBAR', WIGGLY: 'ZAPPELIG', POINTY: 'SPITZ', SPARKLY: 'FUNKELND', ZIGZAG: 'ZICKZACKFÖRMIG',
+            TEENY: 'WINZIG-KLEIN', 'ITTY-BITTY': 'KLITZEKLEIN', ENORMOUS: 'ENORM', JUMBO: 'MORDSGROSS',
+            FUNNY: 'LUSTIG', FRIENDLY: 'FREUNDLICH', HAPPY: 'FRÖHLICH', SLEEPY: 'VERSCHLAFEN'
+        },
+        // "ICH SEHE ..." takes the accusative: EINEN / EINE / EIN, with the mixed adjective endings
+        phrase(noun, adjective) {
+            const forms = {
+                m: { article: 'EINEN', ending: 'EN' },
+                f: { article: 'EINE', ending: 'E' },
+                n: { article: 'EIN', ending: 'ES' }
+            };
+            const { article, ending } = forms[noun.gender] || forms.m;
+            const text = noun.accusative || noun.text;
+            if (!adjective) return `${article} ${text}`;
+            // Untranslated adjectives are left uninflected
+            return adjective.forms
+                ? `${article} ${adjective.forms}${ending} ${text}`
+                : `${article} ${adjective.text} ${text}`;
+        }
+    }
+};
+
+class I18n {
+    constructor(catalogs, storageKey = 'rorschach-language') {
+        this.catalogs = catalogs;
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.language = this._detect();
+    }
+
+    // Saved choice, then the browser language, then English
+    _detect() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.storageKey);
+        } catch (e) {
+            console.warn("Language preference unreadable:", e);
+        }
+        if (saved && this.catalogs[saved]) return saved;
+
+        const browser = (navigator.language || 'en').slice(0, 2).toLowerCase();
+        return this.catalogs[browser] ? browser : 'en';
+    }
+
+    get catalog() {
+        return this.catalogs[this.language];
+    }
+
+    get locale() {
+        return this.catalog.locale;
+    }
+
+    languages() {
+        return Object.entries(this.catalogs).map(([code, catalog]) => ({ code, name: catalog.name }));
+    }
+
+    setLanguage(language) {
+        if (!this.catalogs[language] || language === this.language) return;
+
+        this.language = language;
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (e) {
+            console.warn("Language preference not saved:", e);
+        }
+        this.apply(document);
+        this.listeners.forEach(fn => fn(language));
+    }
+
+    addChangeListener(fn) {
+        this.listeners.push(fn);
+    }
+
+    /**
+     * Look up a message and fill its {placeholders}. Plural messages pick their form
+     * from params.count with the language's plural rules.
+     */
+    t(key, params = {}) {
+        let message = this.catalog.messages[key];
+        if (message === undefined) message = this.catalogs.en.messages[key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(params.count);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    // Set an element's text from a message and remember the key, so apply() can redo it later
+    setText(el, key, params) {
+        el.dataset.i18n = key;
+        if (params) {
+            el.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete el.dataset.i18nParams;
+        }
+        el.textContent = this.t(key, params);
+    }
+
+    // Set text that is not a message (a date, a reading), dropping any key set before
+    setRaw(el, text) {
+        delete el.dataset.i18n;
+        delete el.dataset.i18nParams;
+        el.textContent = text;
+    }
+
+    /**
+     * Rewrite every tagged element under root:
+     * data-i18n (text, with data-i18n-params as JSON or data-i18n-count for plurals),
+     * data-i18n-placeholder and data-i18n-title.
+     */
+    apply(root) {
+        document.documentElement.lang = this.locale;
+
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            let params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : undefined;
+            if (el.dataset.i18nCount !== undefined) params = { ...params, count: Number(el.dataset.i18nCount) };
+            el.textContent = this.t(el.dataset.i18n, params);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+    }
+
+    // A dictionary label in the current language: { text, gender, accusative }
+    label(text) {
+        const entry = this.catalog.labels[text];
+        if (!entry) return { text, gender: null, accusative: null };
+        return { text: entry[0], gender: entry[1], accusative: entry[2] || null };
+    }
+
+    /**
+     * The interpretation as a noun phrase ("A STRANGE BAT", "UN MURCIÉLAGO EXTRAÑO"),
+     * built by the language's grammar. Labels and adjectives without a translation stay in English.
+     */
+    phrase(label, adjective) {
+        const noun = this.label(label);
+        const forms = adjective ? { text: adjective, forms: this.catalog.adjectives[adjective] || null } : null;
+        return this.catalog.phrase(noun, forms);
+    }
+
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    formatDateTime(date) {
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'short', timeStyle: 'medium' }).format(date);
+    }
+}
+
+const i18n = new I18n(I18N_CATALOGS);
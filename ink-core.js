@@ -0,0 +1,648 @@
+// Rorschach Rain - Ink Core
+// Pixel work for the Ink Blot pipeline: thresholding, symmetry and contour extraction.
+// No Leaflet / DOM dependencies, so the same code runs in ink-worker.js (OffscreenCanvas)
+// and on the main thread as a fallback. Everything here works in container pixels;
+// the layer converts to and from LatLngs.
+
+/**
+ * Radar Palettes
+ * Approximate color -> reflectivity tables, as [dBZ, r, g, b] anchors in rising order.
+ * Tile colors between two anchors are interpolated, so these only need the ramp's key stops.
+ */
+const InkPalettes = {
+    // RainViewer color scheme 2 ("Universal Blue"), as requested by CONFIG.tileUrlTemplate
+    'rainviewer-universal-blue': [
+        [5, 136, 221, 238],
+        [10, 0, 153, 204],
+        [15, 0, 119, 170],
+        [20, 0, 85, 136],
+        [25, 0, 51, 102],
+        [30, 255, 238, 0],
+        [35, 255, 204, 0],
+        [40, 255, 170, 0],
+        [45, 255, 68, 0],
+        [50, 193, 0, 0],
+        [55, 255, 170, 255],
+        [60, 255, 119, 255],
+        [65, 255, 255, 255]
+    ]
+};
+
+const INK_MAX_DBZ = 65;
+
+/**
+ * DbzDecoder
+ * Maps a tile pixel back to approximate dBZ by projecting its color onto
+ * the palette ramp. Results are memoized per 15-bit color.
+ */
+class DbzDecoder {
+    constructor(anchors) {
+        this.anchors = anchors;
+        this.lut = new Int8Array(32768).fill(-128); // -128 = not computed yet
+    }
+
+    decode(r, g, b) {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (this.lut[key] === -128) {
+            this.lut[key] = Math.round(this._nearest(r, g, b));
+        }
+        return this.lut[key];
+    }
+
+    // Closest point on any segment between consecutive anchors
+    _nearest(r, g, b) {
+        const a = this.anchors;
+        let best = a[0][0];
+        let bestDist = Infinity;
+
+        for (let i = 0; i < a.length - 1; i++) {
+            const [d0, r0, g0, b0] = a[i];
+            const [d1, r1, g1, b1] = a[i + 1];
+            const vr = r1 - r0, vg = g1 - g0, vb = b1 - b0;
+            const len = vr * vr + vg * vg + vb * vb;
+            let t = len > 0 ? ((r - r0) * vr + (g - g0) * vg + (b - b0) * vb) / len : 0;
+            t = Math.max(0, Math.min(1, t));
+
+            const dr = r - (r0 + vr * t), dg = g - (g0 + vg * t), db = b - (b0 + vb * t);
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = d0 + (d1 - d0) * t;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * InkRenderer
+ * Owns the scratch canvases for one ink pipeline.
+ * `createCanvas(w, h)` lets the caller choose OffscreenCanvas (worker) or <canvas> (main thread).
+ */
+class InkRenderer {
+    constructor(createCanvas) {
+        this.createCanvas = createCanvas;
+
+        // Processed ink (thresholded + mirrored), kept for getOutlines
+        this.ink = createCanvas(1, 1);
+        this.inkCtx = this.ink.getContext('2d', { willReadFrequently: true });
+
+        // Scratch canvas for the mirrored half
+        this.mirror = createCanvas(1, 1);
+        this.mirrorCtx = this.mirror.getContext('2d', { willReadFrequently: true });
+
+        this.decoders = {}; // palette name -> DbzDecoder
+    }
+
+    _getDecoder(palette) {
+        if (!palette || !InkPalettes[palette]) return null;
+        if (!this.decoders[palette]) {
+            this.decoders[palette] = new DbzDecoder(InkPalettes[palette]);
+        }
+        return this.decoders[palette];
+    }
+
+    _resize(width, height) {
+        if (this.ink.width === width && this.ink.height === height) return;
+        this.ink.width = width;
+        this.ink.height = height;
+        this.mirror.width = width;
+        this.mirror.height = height;
+    }
+
+    /**
+     * Turn a raw radar image into white ink.
+     * params: {
+     *   mode,
+     *   intensity: { palette, minDbz, levels },
+     *   symmetry: { axis, blend, fold },
+     *   radial: { type, segments, centerX, centerY }
+     * }
+     * (fold / centerX / centerY are already resolved to pixels by the layer)
+     * Returns the ink canvas (reused between calls).
+     */
+    process(source, params) {
+        const width = source.width;
+        const height = source.height;
+        this._resize(width, height);
+
+        const ctx = this.inkCtx;
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(source, 0, 0);
+
+        // 1. Threshold & Flatten (Isolation)
+        // Turn rain at or above the minimum reflectivity into white ink,
+        // optionally stepped into density levels (denser ink for stronger echoes)
+        const intensity = params.intensity || {};
+        const decoder = this._getDecoder(intensity.palette);
+        const minDbz = intensity.minDbz || 0;
+        const levels = Math.max(1, intensity.levels || 1);
+        const bandWidth = Math.max(1, INK_MAX_DBZ - minDbz) / levels;
+
+        const imgData = ctx.getImageData(0, 0, width, height);
+        const data = imgData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+
+            // Without a palette we can't tell drizzle from cores, so all rain counts as the strongest
+            const dbz = decoder ? decoder.decode(data[i], data[i + 1], data[i + 2]) : INK_MAX_DBZ;
+
+            data[i] = 255;     // R
+            data[i + 1] = 255; // G
+            data[i + 2] = 255; // B
+
+            if (dbz < minDbz) {
+                data[i + 3] = 0; // Too weak: no ink
+            } else if (levels === 1) {
+                data[i + 3] = 255; // Full Alpha
+            } else {
+                const band = Math.min(levels - 1, Math.floor((dbz - minDbz) / bandWidth));
+                data[i + 3] = Math.round(255 * (band + 1) / levels);
+            }
+        }
+        ctx.putImageData(imgData, 0, 0);
+
+        // 2. Fold the ink across the symmetry axis (or spin it around the center in Kaleido mode)
+        if (params.mode === 'kaleido') {
+            this._applyRadialSymmetry(width, height, params.radial);
+        } else {
+            this._applySymmetry(width, height, params.symmetry);
+        }
+
+        return this.ink;
+    }
+
+    _applySymmetry(width, height, symmetry) {
+        const { axis, blend, fold } = symmetry;
+        if (axis === 'none') return;
+
+        const mCtx = this.mirrorCtx;
+
+        // 1. Reflect the thresholded ink into the scratch canvas
+        mCtx.save();
+        mCtx.clearRect(0, 0, width, height);
+        if (axis === 'horizontal') {
+            mCtx.translate(0, 2 * fold);
+            mCtx.scale(1, -1);
+        } else {
+            mCtx.translate(2 * fold, 0);
+            mCtx.scale(-1, 1);
+        }
+        mCtx.drawImage(this.ink, 0, 0);
+        mCtx.restore();
+
+        // 2. Merge both halves back into the ink canvas
+        const bCtx = this.inkCtx;
+        bCtx.save();
+
+        if (blend === 'overlay') {
+            // Mirrored half sits on top as a fainter print
+            bCtx.globalAlpha = 0.5;
+            bCtx.drawImage(this.mirror, 0, 0);
+        } else if (blend === 'press') {
+            // Like folding wet paper: both halves smear into each other,
+            // then get re-thresholded so touching ink fuses into one shape
+            mCtx.save();
+            mCtx.globalCompositeOperation = 'lighter';
+            mCtx.drawImage(this.ink, 0, 0);
+            mCtx.restore();
+
+            bCtx.clearRect(0, 0, width, height);
+            bCtx.filter = 'blur(4px)';
+            bCtx.drawImage(this.mirror, 0, 0);
+            bCtx.filter = 'none';
+
+            const pressed = bCtx.getImageData(0, 0, width, height);
+            const data = pressed.data;
+            for (let i = 0; i < data.length; i += 4) {
+                const a = data[i + 3] > 64 ? 255 : 0;
+                data[i] = 255;
+                data[i + 1] = 255;
+                data[i + 2] = 255;
+                data[i + 3] = a;
+            }
+            bCtx.putImageData(pressed, 0, 0);
+        } else {
+            // Union: ink from either half counts
+            bCtx.drawImage(this.mirror, 0, 0);
+        }
+
+        bCtx.restore();
+    }
+
+    _applyRadialSymmetry(width, height, radial) {
+        const { type } = radial;
+        const segments = Math.max(2, radial.segments);
+        const c = { x: radial.centerX, y: radial.centerY };
+
+        const mCtx = this.mirrorCtx;
+        const bCtx = this.inkCtx;
+
+        // Draws the scratch canvas rotated around the center (and optionally flipped)
+        const stamp = (angle, flip) => {
+            bCtx.save();
+            bCtx.translate(c.x, c.y);
+            bCtx.rotate(angle);
+            if (flip) bCtx.scale(1, -1);
+            bCtx.translate(-c.x, -c.y);
+            bCtx.drawImage(this.mirror, 0, 0);
+            bCtx.restore();
+        };
+
+        mCtx.clearRect(0, 0, width, height);
+        mCtx.drawImage(this.ink, 0, 0);
+
+        if (type === 'kaleidoscope') {
+            // 1. Cut a wedge of PI/N out of the ink, pointing up from the center
+            const wedge = Math.PI / segments;
+            const radius = Math.hypot(width, height);
+            const start = -Math.PI / 2;
+
+            mCtx.save();
+            mCtx.globalCompositeOperation = 'destination-in';
+            mCtx.beginPath();
+            mCtx.moveTo(c.x, c.y);
+            mCtx.arc(c.x, c.y, radius, start, start + wedge);
+            mCtx.closePath();
+            mCtx.fill();
+            mCtx.restore();
+
+            // 2. Lay 2N copies around the circle, every other one mirrored
+            // so neighbouring wedges meet at a reflection seam
+            bCtx.clearRect(0, 0, width, height);
+            for (let k = 0; k < segments * 2; k++) {
+                if (k % 2 === 0) {
+                    stamp(k * wedge, false);
+                } else {
+                    // Reflect across the wedge's start edge (flip + rotate by 2*start), then rotate into place
+                    stamp((k + 1) * wedge + 2 * start, true);
+                }
+            }
+        } else {
+            // Rotational: union of N rotated copies
+            const step = (Math.PI * 2) / segments;
+            for (let k = 1; k < segments; k++) {
+                stamp(k * step, false);
+            }
+        }
+    }
+
+    /**
+     * Extract closed outlines from the last processed ink using Marching Squares.
+     * clip: { minX, minY, maxX, maxY } in pixels, or null for the whole image.
+     * style: { blur (px), contrast (%), threshold (alpha 0-255), scale (resolution factor), simplify (px tolerance, 0 = off) }
+     * Returns { rings, blobs, minX, minY, maxX, maxY } or null if nothing found, where each ring is
+     * { points: [[x, y]], hole, area, parent } (parent: index of the outer ring a hole sits in, else -1)
+     * and each blob is one connected piece of ink: { outer, holes, area, centroid: [x, y], minX, minY, maxX, maxY }
+     * (outer / holes are ring indices, area excludes the holes).
+     */
+    outlines(clip, style) {
+        const width = this.ink.width;
+        const height = this.ink.height;
+
+        // Working resolution: lower is faster and smoother, higher follows the ink more closely
+        const scale = style.scale;
+        const smWidth = Math.floor(width * scale);
+        const smHeight = Math.floor(height * scale);
+
+        const smCanvas = this.createCanvas(smWidth, smHeight);
+        const smCtx = smCanvas.getContext('2d', { willReadFrequently: true });
+
+        // Draw the buffer with the blur filter applied
+        // Blur and contrast merge nearby blobs and catch faint edges
+        smCtx.filter = `blur(${style.blur}px) contrast(${style.contrast}%)`;
+        smCtx.drawImage(this.ink, 0, 0, smWidth, smHeight);
+
+        // --- SMART CLIPPING ---
+        // If clip provided (in container pixels), clear everything outside it.
+        // This forces the marching squares to see a "cut" edge.
+        if (clip) {
+            // Scale to smCanvas coords
+            const minX = clip.minX * scale;
+            const minY = clip.minY * scale;
+            const maxX = clip.maxX * scale;
+            const maxY = clip.maxY * scale;
+
+            smCtx.globalCompositeOperation = 'destination-in';
+            smCtx.fillStyle = '#000';
+            smCtx.beginPath();
+            smCtx.rect(minX, minY, maxX - minX, maxY - minY);
+            smCtx.fill();
+            smCtx.globalCompositeOperation = 'source-over'; // Reset
+        }
+
+        const data = smCtx.getImageData(0, 0, smWidth, smHeight).data;
+
+        // 1. Trace contours on the alpha channel (alpha above the threshold counts as ink)
+        const rings = InkContours.trace(data, smWidth, smHeight, style.threshold);
+        if (rings.length === 0) return null;
+
+        // 2. Back to screen pixels, simplify, and sort out outer boundaries from holes
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const result = [];
+
+        for (const ring of rings) {
+            let points = ring.map(p => [p[0] / scale, p[1] / scale]);
+            if (style.simplify > 0) points = InkContours.simplifyRing(points, style.simplify);
+            if (points.length < 3) continue;
+
+            // Rings run with the ink on their left, so in screen space (y down)
+            // outer boundaries come out with negative signed area and holes positive
+            const signed = InkContours.signedArea(points);
+            result.push({ points, hole: signed > 0, area: Math.abs(signed), parent: -1 });
+
+            for (const [x, y] of points) {
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        if (result.length === 0) return null;
+
+        // 3. Each hole belongs to the smallest outer ring that contains it
+        result.forEach(ring => {
+            if (!ring.hole) return;
+            let best = -1;
+            result.forEach((outer, j) => {
+                if (outer.hole || outer.area <= ring.area) return;
+                if (best !== -1 && outer.area >= result[best].area) return;
+                if (InkContours.contains(outer.points, ring.points[0])) best = j;
+            });
+            ring.parent = best;
+        });
+
+        // 4. Connected components: every outer ring bounds one blob, together with its holes
+        const blobs = [];
+        const blobOf = new Map(); // outer ring index -> blob
+        result.forEach((ring, i) => {
+            if (ring.hole) return;
+            const blob = { outer: i, holes: [], area: ring.area, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            for (const [x, y] of ring.points) {
+                blob.minX = Math.min(blob.minX, x);
+                blob.minY = Math.min(blob.minY, y);
+                blob.maxX = Math.max(blob.maxX, x);
+                blob.maxY = Math.max(blob.maxY, y);
+            }
+            blobOf.set(i, blob);
+            blobs.push(blob);
+        });
+        result.forEach((ring, i) => {
+            if (ring.hole && blobOf.has(ring.parent)) blobOf.get(ring.parent).holes.push(i);
+        });
+
+        // Area-weighted centroid: the outer ring's minus its holes'
+        blobs.forEach(blob => {
+            const outer = result[blob.outer];
+            let [cx, cy] = InkContours.centroid(outer.points);
+            let area = outer.area;
+            cx *= area;
+            cy *= area;
+            for (const h of blob.holes) {
+                const [hx, hy] = InkContours.centroid(result[h].points);
+                cx -= hx * result[h].area;
+                cy -= hy * result[h].area;
+                area -= result[h].area;
+            }
+            blob.area = area;
+            blob.centroid = area > 0 ? [cx / area, cy / area] : InkContours.centroid(outer.points);
+        });
+
+        return { rings: result, blobs, minX, minY, maxX, maxY };
+    }
+}
+
+/**
+ * Ink Contours
+ * Marching squares that stitches its output into closed rings, plus ring helpers.
+ * Rings are arrays of [x, y] in the grid's pixel coordinates, without a repeated closing point.
+ */
+const InkContours = {
+    /**
+     * data: RGBA pixels (alpha is read), w x h. The grid is padded with empty pixels
+     * so blobs touching the image border still close.
+     */
+    trace(data, w, h, threshold) {
+        const alpha = (x, y) => (x < 0 || y < 0 || x >= w || y >= h) ? 0 : data[(y * w + x) * 4 + 3];
+
+        // Edge ids: every grid edge gets a unique number, crossing points are looked up by it
+        const stride = w + 2;
+        const hEdge = (x, y) => ((y + 1) * stride + (x + 1)) * 2;     // (x, y) -> (x + 1, y)
+        const vEdge = (x, y) => ((y + 1) * stride + (x + 1)) * 2 + 1; // (x, y) -> (x, y + 1)
+
+        const next = new Map();  // edge id -> edge id the contour continues to
+        const points = new Map(); // edge id -> [x, y] interpolated crossing
+
+        // Where the threshold falls between two corners (instead of a fixed midpoint)
+        const crossing = (x0, y0, v0, x1, y1, v1) => {
+            const t = v1 === v0 ? 0.5 : (threshold - v0) / (v1 - v0);
+            return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+        };
+
+        for (let y = -1; y < h; y++) {
+            for (let x = -1; x < w; x++) {
+                // Corners clockwise: TL, TR, BR, BL
+                const v = [alpha(x, y), alpha(x + 1, y), alpha(x + 1, y + 1), alpha(x, y + 1)];
+                const inside = v.map(a => a > threshold);
+                const count = inside.filter(Boolean).length;
+                if (count === 0 || count === 4) continue;
+
+                // Cell edges clockwise: top (TL-TR), right (TR-BR), bottom (BR-BL), left (BL-TL)
+                const corners = [[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1]];
+                const ids = [hEdge(x, y), vEdge(x + 1, y), hEdge(x, y + 1), vEdge(x, y)];
+
+                // Crossings in clockwise order; entering = going from empty into ink
+                const crossings = [];
+                for (let e = 0; e < 4; e++) {
+                    const a = e, b = (e + 1) % 4;
+                    if (inside[a] === inside[b]) continue;
+                    if (!points.has(ids[e])) {
+                        points.set(ids[e], crossing(corners[a][0], corners[a][1], v[a], corners[b][0], corners[b][1], v[b]));
+                    }
+                    crossings.push({ id: ids[e], entering: inside[b] });
+                }
+
+                // Saddles (cases 5 and 10): the cell center decides whether the two ink
+                // corners are joined through the middle or cut off separately
+                const saddle = crossings.length === 4;
+                const joined = saddle && (v[0] + v[1] + v[2] + v[3]) / 4 > threshold;
+
+                // Each segment runs from an entering crossing to a leaving one, keeping ink on its left.
+                // Cut-off ink corners pair with the next crossing clockwise, joined ones with the previous.
+                const n = crossings.length;
+                crossings.forEach((c, i) => {
+                    if (!c.entering) return;
+                    const partner = joined ? crossings[(i + n - 1) % n] : crossings[(i + 1) % n];
+                    next.set(c.id, partner.id);
+                });
+            }
+        }
+
+        // Walk the links into closed rings
+        const rings = [];
+        for (const start of next.keys()) {
+            if (!points.has(start)) continue; // Already used by an earlier ring
+
+            const ring = [];
+            let id = start;
+            while (points.has(id)) {
+                ring.push(points.get(id));
+                points.delete(id);
+                id = next.get(id);
+            }
+            if (ring.length >= 3) rings.push(ring);
+        }
+        return rings;
+    },
+
+    // Shoelace area; in y-down screen space, visually clockwise rings are positive
+    signedArea(ring) {
+        let sum = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+        }
+        return sum / 2;
+    },
+
+    // Polygon centroid (falls back to the vertex mean for degenerate rings)
+    centroid(ring) {
+        let cx = 0, cy = 0, sum = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+            cx += (ring[j][0] + ring[i][0]) * cross;
+            cy += (ring[j][1] + ring[i][1]) * cross;
+            sum += cross;
+        }
+        if (sum === 0) {
+            return [
+                ring.reduce((a, p) => a + p[0], 0) / ring.length,
+                ring.reduce((a, p) => a + p[1], 0) / ring.length
+            ];
+        }
+        return [cx / (3 * sum), cy / (3 * sum)];
+    },
+
+    // Even-odd point in polygon
+    contains(ring, point) {
+        const [px, py] = point;
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /**
+     * Douglas-Peucker on a closed ring: split at the point farthest from the first,
+     * simplify both halves as open lines and join them again.
+     */
+    simplifyRing(ring, tolerance) {
+        if (ring.length < 4) return ring;
+
+        let far = 0;
+        let farDist = -1;
+        for (let i = 1; i < ring.length; i++) {
+            const dx = ring[i][0] - ring[0][0];
+            const dy = ring[i][1] - ring[0][1];
+            const d = dx * dx + dy * dy;
+            if (d > farDist) {
+                farDist = d;
+                far = i;
+            }
+        }
+
+        const first = this.simplifyLine(ring.slice(0, far + 1), tolerance);
+        const second = this.simplifyLine([...ring.slice(far), ring[0]], tolerance);
+        return [...first.slice(0, -1), ...second.slice(0, -1)];
+    },
+
+    simplifyLine(line, tolerance) {
+        if (line.length < 3) return line;
+
+        // Iterative, so long contours can't overflow the stack
+        const keep = new Uint8Array(line.length);
+        keep[0] = keep[line.length - 1] = 1;
+        const stack = [[0, line.length - 1]];
+        const tol2 = tolerance * tolerance;
+
+        while (stack.length > 0) {
+            const [a, b] = stack.pop();
+            const [ax, ay] = line[a];
+            const [bx, by] = line[b];
+            const dx = bx - ax, dy = by - ay;
+            const len2 = dx * dx + dy * dy;
+
+            let worst = -1;
+            let worstDist = tol2;
+            for (let i = a + 1; i < b; i++) {
+                const [px, py] = line[i];
+                // Squared distance to the chord (or to a when the chord is a point)
+                let d;
+                if (len2 === 0) {
+                    d = (px - ax) * (px - ax) + (py - ay) * (py - ay);
+                } else {
+                    const cross = dx * (py - ay) - dy * (px - ax);
+                    d = cross * cross / len2;
+                }
+                if (d > worstDist) {
+                    worstDist = d;
+                    worst = i;
+                }
+            }
+
+            if (worst !== -1) {
+                keep[worst] = 1;
+                stack.push([a, worst], [worst, b]);
+            }
+        }
+        return line.filter((_, i) => keep[i]);
+    }
+};
+
+/**
+ * Ink Motion
+ * Rough storm motion between two radar images, used to tween playback frames.
+ */
+const InkMotion = {
+    /**
+     * Global translation that best maps image a onto image b, by block matching
+     * (mean absolute alpha difference over the overlapping area).
+     * a, b: RGBA pixel arrays of the same w x h. Returns { dx, dy } in those pixels.
+     */
+    estimateDisplacement(a, b, w, h, radius) {
+        let best = { dx: 0, dy: 0 };
+        let bestScore = Infinity;
+
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                let score = 0;
+                let count = 0;
+
+                const y0 = Math.max(0, -dy), y1 = Math.min(h, h - dy);
+                const x0 = Math.max(0, -dx), x1 = Math.min(w, w - dx);
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        const ia = (y * w + x) * 4 + 3;
+                        const ib = ((y + dy) * w + (x + dx)) * 4 + 3;
+                        score += Math.abs(a[ia] - b[ib]);
+                        count++;
+                    }
+                }
+                if (count === 0) continue;
+                score /= count;
+
+                // Ties (e.g. empty images) go to the smallest shift
+                const closer = Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy);
+                if (score < bestScore || (score === bestScore && closer)) {
+                    bestScore = score;
+                    best = { dx, dy };
+                }
+            }
+        }
+        return best;
+    }
+};
@@ -0,0 +1,33 @@
+// Rorschach Rain - Ink Worker
+// Runs the InkRenderer on an OffscreenCanvas so thresholding, symmetry and
+// marching squares stay off the main thread.
+//
+// Messages in:  { id, type: 'process', bitmap, params } -> { id, result: ImageBitmap }
+//               { id, type: 'outlines', clip, style }   -> { id, result: { rings, minX, ... } | null }
+// Errors come back as { id, error: message }.
+
+importScripts('ink-core.js');
+
+const renderer = new InkRenderer((w, h) => new OffscreenCanvas(w, h));
+
+self.onmessage = async (e) => {
+    const { id, type } = e.data;
+
+    try {
+        if (type === 'process') {
+            const { bitmap, params } = e.data;
+            const ink = renderer.process(bitmap, params);
+            bitmap.close();
+
+            // Copy rather than transferToImageBitmap(): the ink canvas must survive for 'outlines'
+            const result = await createImageBitmap(ink);
+            self.postMessage({ id, result }, [result]);
+        } else if (type === 'outlines') {
+            self.postMessage({ id, result: renderer.outlines(e.data.clip, e.data.style) });
+        } else {
+            throw new Error(`Unknown ink job: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -1,25 +1,397 @@
 // Rorschach Rain - Decoupled Architecture
 
 const CONFIG = {
+    // Radar source. Can be overridden from the URL, e.g.
+    //   ?provider=local&root=./radar
+    //   ?provider=xyz&template=https://example.com/{time}/{z}/{x}/{y}.png&interval=10&count=12
+    radarProvider: {
+        type: 'rainviewer'
+    },
     rainViewerApi: 'https://api.rainviewer.com/public/weather-maps.json',
     tileUrlTemplate: 'https://tilecache.rainviewer.com{path}/256/{z}/{x}/{y}/2/1_1.png',
     basemapUrl: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
     defaultCenter: [45.5152, -122.6784], // Portland, OR
-    defaultZoom: 7
+    defaultZoom: 7,
+    render: {
+        maxFps: 0 // Cap for redraws while things are moving (0 = every animation frame)
+    },
+    tileCache: {
+        maxTiles: 800, // Decoded 256px tiles
+        maxBytes: 200 * 1024 * 1024 // ~200MB of decoded RGBA
+    },
+    tileQueue: {
+        concurrency: 6, // Parallel tile downloads
+        budgetShare: 0.8 // Fraction of the cache budget a full-sequence prefetch may fill
+    },
+    tileRetry: {
+        maxAttempts: 4, // After this many failures a tile is given up on until the frame list reloads
+        baseDelayMs: 1000, // Doubles after every failure...
+        maxDelayMs: 30000 // ...up to this cap
+    },
+    tileStore: {
+        dbName: 'rorschach-rain',
+        maxAgeHours: 48, // Stored tiles and frames older than this are pruned
+        maxTiles: 5000, // Oldest stored tiles beyond this are pruned
+        maxArchivedFrames: 24 // Past frames kept after RainViewer drops them from weather-maps.json
+    },
+    blobSize: {
+        mode: 'screen', // 'screen': longest extent as a share of the view diagonal, 'absolute': in km
+        screen: { tiny: 0.1, huge: 0.6 },
+        absolute: { tiny: 25, huge: 600 }
+    },
+    // CLOUD_VISION backend: 'gemini', 'openai' (any compatible server), 'local' (Ollama) or 'mock'.
+    // The choice in the analysis panel is remembered; the URL wins, e.g.
+    //   ?vision=local&visionModel=llava&visionEndpoint=http://localhost:11434
+    vision: {
+        type: 'gemini',
+        answers: 4 // Ranked interpretations asked for per reading
+    },
+    analysis: {
+        timeoutSeconds: 60 // A reading still running after this is cancelled (0 = no limit); local models can be slow
+    }
 };
 
+/**
+ * Persistent Tile Store
+ * IndexedDB backing for TileCache so radar survives reloads and outages.
+ * Every method degrades to a no-op (resolves null) when IndexedDB is unavailable.
+ */
+class TileStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || CONFIG.tileStore.dbName;
+        this.maxAgeMs = (options.maxAgeHours || CONFIG.tileStore.maxAgeHours) * 60 * 60 * 1000;
+        this.maxTiles = options.maxTiles || CONFIG.tileStore.maxTiles;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (!window.indexedDB) return resolve(null);
+
+                const req = indexedDB.open(this.dbName, 1);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    // tiles: { key: "sourceId|path-z-x-y", path, blob, storedAt }
+                    const tiles = db.createObjectStore('tiles', { keyPath: 'key' });
+                    tiles.createIndex('storedAt', 'storedAt');
+                    // meta: { id, ... } (e.g. the last known frame list)
+                    db.createObjectStore('meta', { keyPath: 'id' });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => {
+                    console.warn("Tile store unavailable:", req.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run fn(store) in a transaction and resolve with the request's result once committed
+    async _tx(storeName, mode, fn) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : null);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    isExpired(storedAt) {
+        return Date.now() - storedAt > this.maxAgeMs;
+    }
+
+    async getTile(key) {
+        const record = await this._tx('tiles', 'readonly', store => store.get(key));
+        if (!record || this.isExpired(record.storedAt)) return null;
+        return record.blob;
+    }
+
+    putTile(key, path, blob) {
+        return this._tx('tiles', 'readwrite', store => store.put({ key, path, blob, storedAt: Date.now() }));
+    }
+
+    /**
+     * Remember the frame list so it can be re-opened when the API is unreachable.
+     * Past frames are merged with previously stored ones (newest kept), so frames
+     * RainViewer has rotated out stay listed until they expire.
+     */
+    async saveFrames(sourceId, past, nowcast) {
+        const stored = await this.loadFrames(sourceId);
+        const known = new Map();
+        (stored ? stored.past : []).concat(past).forEach(f => known.set(f.path, f));
+
+        const cutoff = (Date.now() - this.maxAgeMs) / 1000;
+        const mergedPast = [...known.values()]
+            .filter(f => f.time >= cutoff)
+            .sort((a, b) => a.time - b.time)
+            .slice(-(past.length + CONFIG.tileStore.maxArchivedFrames));
+
+        await this._tx('meta', 'readwrite', store => store.put({
+            id: `frames:${sourceId}`,
+            past: mergedPast,
+            nowcast: nowcast,
+            savedAt: Date.now()
+        }));
+
+        return mergedPast;
+    }
+
+    async loadFrames(sourceId) {
+        const record = await this._tx('meta', 'readonly', store => store.get(`frames:${sourceId}`));
+        if (!record || this.isExpired(record.savedAt)) return null;
+        return { past: record.past || [], nowcast: record.nowcast || [] };
+    }
+
+    /**
+     * Expiry: drop tiles older than maxAge, then the oldest beyond maxTiles
+     */
+    async prune() {
+        const db = await this.open();
+        if (!db) return;
+
+        const cutoff = Date.now() - this.maxAgeMs;
+        const total = await this._tx('tiles', 'readonly', store => store.count());
+        let excess = Math.max(0, total - this.maxTiles);
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction('tiles', 'readwrite');
+            // Oldest first
+            const cursorReq = tx.objectStore('tiles').index('storedAt').openCursor();
+            cursorReq.onsuccess = () => {
+                const cursor = cursorReq.result;
+                if (!cursor) return;
+                if (cursor.value.storedAt < cutoff || excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async clear() {
+        await this._tx('tiles', 'readwrite', store => store.clear());
+        await this._tx('meta', 'readwrite', store => store.clear());
+    }
+}
+
+const tileStore = new TileStore();
+
+/**
+ * Radar Data Providers
+ * A provider lists frames and builds tile URLs:
+ *   listFrames() -> Promise<{ past: [{ time, path }], nowcast: [{ time, path }] }>
+ *   getTileUrl(path, z, x, y) -> string
+ *   maxZoom -> deepest zoom the source has tiles for
+ *   sourceId -> provider id plus its template or root; keys stored tiles and frame lists,
+ *               so two sources with the same frame paths (e.g. unix times) never share them
+ */
+const fillTileTemplate = (template, values) =>
+    template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+
+class RainViewerProvider {
+    constructor(options = {}) {
+        this.id = 'rainviewer';
+        this.apiUrl = options.apiUrl || CONFIG.rainViewerApi;
+        this.tileTemplate = options.tileTemplate || CONFIG.tileUrlTemplate;
+        this.sourceId = `rainviewer:${this.tileTemplate}`;
+        this.maxZoom = parseInt(options.maxZoom) || 12;
+        // Color table for decoding reflectivity (see InkPalettes in ink-core.js)
+        this.palette = options.palette || 'rainviewer-universal-blue';
+    }
+
+    async listFrames() {
+        const response = await fetch(this.apiUrl);
+        const data = await response.json();
+
+        if (!data.radar || !data.radar.past) {
+            return { past: [], nowcast: [] };
+        }
+        return { past: data.radar.past, nowcast: data.radar.nowcast || [] };
+    }
+
+    getTileUrl(path, z, x, y) {
+        return fillTileTemplate(this.tileTemplate, { path, z, x, y });
+    }
+}
+
+/**
+ * Static folder of tiles described by a manifest, e.g. for a local mock server:
+ *   {root}/manifest.json -> { "maxZoom": 8, "past": [{ "time": 1700000000, "path": "/1700000000" }], "nowcast": [] }
+ *   {root}{path}/{z}/{x}/{y}.png
+ */
+class LocalDirectoryProvider {
+    constructor(options = {}) {
+        this.id = 'local';
+        this.root = (options.root || './radar').replace(/\/$/, '');
+        this.sourceId = `local:${this.root}`;
+        this.tileTemplate = options.tileTemplate || '{root}{path}/{z}/{x}/{y}.png';
+        this.maxZoom = parseInt(options.maxZoom) || 12;
+        this.palette = options.palette || null;
+    }
+
+    async listFrames() {
+        const response = await fetch(`${this.root}/manifest.json`);
+        if (!response.ok) throw new Error(`Manifest HTTP ${response.status}`);
+        const manifest = await response.json();
+
+        // Manifest may override the tile layout and zoom limit
+        if (manifest.tileTemplate) this.tileTemplate = manifest.tileTemplate;
+        if (manifest.maxZoom) this.maxZoom = parseInt(manifest.maxZoom) || this.maxZoom;
+        if (manifest.palette) this.palette = manifest.palette;
+
+        return {
+            past: manifest.past || manifest.frames || [],
+            nowcast: manifest.nowcast || []
+        };
+    }
+
+    getTileUrl(path, z, x, y) {
+        return fillTileTemplate(this.tileTemplate, { root: this.root, path, z, x, y });
+    }
+}
+
+/**
+ * Generic XYZ template with one frame per time step.
+ * Frames come from an explicit `times` list (unix seconds) or are generated
+ * backwards from now every `interval` minutes.
+ */
+class XYZTemplateProvider {
+    constructor(options = {}) {
+        if (!options.template) throw new Error("XYZ provider needs a tile template");
+        this.id = 'xyz';
+        this.template = options.template;
+        this.sourceId = `xyz:${this.template}`;
+        this.times = options.times ? String(options.times).split(',').map(Number) : null;
+        this.interval = (parseInt(options.interval) || 10) * 60;
+        this.count = parseInt(options.count) || 12;
+        this.maxZoom = parseInt(options.maxZoom) || 12;
+        this.palette = options.palette || null;
+    }
+
+    async listFrames() {
+        let times = this.times;
+        if (!times) {
+            const latest = Math.floor(Date.now() / 1000 / this.interval) * this.interval;
+            times = [];
+            for (let i = this.count - 1; i >= 0; i--) {
+                times.push(latest - i * this.interval);
+            }
+        }
+        return {
+            past: times.map(time => ({ time, path: String(time) })),
+            nowcast: []
+        };
+    }
+
+    getTileUrl(path, z, x, y) {
+        return fillTileTemplate(this.template, { time: path, path, z, x, y });
+    }
+}
+
+const RadarProviders = {
+    rainviewer: RainViewerProvider,
+    local: LocalDirectoryProvider,
+    xyz: XYZTemplateProvider
+};
+
+// Query params read as radar provider options (others, e.g. ?vision, belong to other features)
+const RADAR_PROVIDER_PARAMS = ['apiUrl', 'tileTemplate', 'root', 'template', 'times', 'interval', 'count', 'maxZoom', 'palette'];
+
+/**
+ * Build the provider from CONFIG.radarProvider, with URL query params taking precedence
+ */
+function createRadarProvider() {
+    const options = { ...CONFIG.radarProvider };
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('provider')) options.type = params.get('provider');
+    for (const key of RADAR_PROVIDER_PARAMS) {
+        if (params.has(key)) options[key] = params.get(key);
+    }
+
+    const Provider = RadarProviders[options.type];
+    if (!Provider) throw new Error(`Unknown radar provider: ${options.type}`);
+    return new Provider(options);
+}
+
 /**
  * Global Tile Cache
  * Manages fetching and storing radar tile images.
+ * Bounded LRU: the Map keeps insertion order, so re-inserting on every hit
+ * leaves the least recently used tiles at the front.
  */
 class TileCache {
-    constructor() {
-        this.cache = new Map(); // Key: "path-z-x-y", Value: Image
-        this.activeRequests = new Set();
+    constructor(options = {}) {
+        this.cache = new Map(); // Key: "path-z-x-y", Value: { img, path, z, x, y, bytes }
+        this.activeRequests = new Set(); // Queued or in flight
+
+        // Download queue: lower priority number goes first (0 = on screen now)
+        this.queue = new Map(); // Key -> { key, path, z, x, y, priority }
+        this.inFlight = new Map(); // Key -> { controller, priority }
+        this.concurrency = options.concurrency || CONFIG.tileQueue.concurrency;
+        this.changeListeners = []; // Called when a tile finishes (loaded or failed) or is due for a retry
+        this.store = options.store || null; // Optional persistent layer (TileStore)
+        this.provider = options.provider || null; // Builds tile URLs (set by App once created)
+
+        // Failed tiles: Key -> { attempts, nextRetryAt }
+        this.failures = new Map();
+        this.retry = { ...CONFIG.tileRetry, ...options.retry };
+
+        // Budget (whichever limit is hit first triggers eviction)
+        this.maxTiles = options.maxTiles || CONFIG.tileCache.maxTiles;
+        this.maxBytes = options.maxBytes || CONFIG.tileCache.maxBytes;
+        this.totalBytes = 0;
+
+        // Eviction hints, kept up to date by the layer (view) and the App (frames)
+        this.view = null; // { zoom, nw, se } in tile coords
+        this.framePositions = new Map(); // path -> index in the frame list
+        this.currentFrameIndex = 0;
+
+        // Debug counters
+        this.stats = { hits: 0, misses: 0, evictions: 0, failures: 0 };
     }
 
+    // Prefixed with the provider's sourceId: the same path from another source is a different tile
     getKey(path, z, x, y) {
-        return `${path}-${z}-${x}-${y}`;
+        const source = this.provider ? this.provider.sourceId : '';
+        return `${source}|${path}-${z}-${x}-${y}`;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    // Deepest zoom the provider has tiles for; anything past this is overzoomed from its ancestors
+    getMaxZoom() {
+        return this.provider && this.provider.maxZoom ? this.provider.maxZoom : Infinity;
+    }
+
+    /**
+     * Cached image without triggering a fetch or touching the LRU order (for placeholders)
+     */
+    peek(path, z, x, y) {
+        const entry = this.cache.get(this.getKey(path, z, x, y));
+        return entry ? entry.img : null;
+    }
+
+    /**
+     * Nearest loaded ancestor of a tile, up to maxLevels up.
+     * Returns { img, levels } where levels is how many zooms above the tile it sits.
+     */
+    findAncestor(path, z, x, y, maxLevels = 4) {
+        for (let levels = 1; levels <= maxLevels && z - levels >= 0; levels++) {
+            const img = this.peek(path, z - levels, x >> levels, y >> levels);
+            if (img) return { img, levels };
+        }
+        return null;
     }
 
     /**
@@ -29,76 +401,550 @@ class TileCache {
     get(path, z, x, y) {
         const key = this.getKey(path, z, x, y);
         if (this.cache.has(key)) {
-            return this.cache.get(key);
+            // Touch: move to most-recently-used end
+            const entry = this.cache.get(key);
+            this.cache.delete(key);
+            this.cache.set(key, entry);
+            this.stats.hits++;
+            return entry.img;
         }
 
-        if (!this.activeRequests.has(key)) {
-            this.fetch(path, z, x, y);
-        }
+        this.request(path, z, x, y, 0);
         return null;
     }
 
-    fetch(path, z, x, y) {
+    /**
+     * Queue a tile download at the given priority (0 = needed on screen now).
+     * Re-requesting a queued tile moves it to the new priority; a tile already
+     * downloading can only be raised (so a prefetch that is now on screen isn't cancelled).
+     */
+    request(path, z, x, y, priority) {
         const key = this.getKey(path, z, x, y);
+        if (this.cache.has(key)) return;
+
+        if (this.activeRequests.has(key)) {
+            const job = this.queue.get(key);
+            if (job) job.priority = priority;
+            const active = this.inFlight.get(key);
+            if (active) active.priority = Math.min(active.priority, priority);
+            return;
+        }
+
+        if (!this.canRetry(key)) return;
+
+        this.stats.misses++; // Only count real misses, not polls of an in-flight tile
         this.activeRequests.add(key);
+        this.queue.set(key, { key, path, z, x, y, priority });
+        this._pump();
+    }
 
-        const img = new Image();
-        img.crossOrigin = "Anonymous";
-        img.src = CONFIG.tileUrlTemplate
-            .replace('{path}', path)
-            .replace('{z}', z)
-            .replace('{x}', x)
-            .replace('{y}', y);
-
-        img.onload = () => {
-            this.cache.set(key, img);
-            this.activeRequests.delete(key);
-        };
+    // Start queued downloads, best priority first, up to the concurrency cap
+    _pump() {
+        while (this.inFlight.size < this.concurrency && this.queue.size > 0) {
+            let next = null;
+            for (const job of this.queue.values()) {
+                if (!next || job.priority < next.priority) next = job;
+            }
+            this.queue.delete(next.key);
+            this.fetch(next);
+        }
+    }
 
-        img.onerror = () => {
-            this.activeRequests.delete(key);
-            // Don't cache errors, allow retry
-        };
+    /**
+     * Drop queued prefetch work and abort in-flight prefetches (e.g. on pan/zoom).
+     * On-screen requests (priority 0) are left alone.
+     */
+    cancelPrefetch() {
+        for (const job of [...this.queue.values()]) {
+            if (job.priority > 0) {
+                this.queue.delete(job.key);
+                this.activeRequests.delete(job.key);
+            }
+        }
+        for (const request of this.inFlight.values()) {
+            if (request.priority > 0) request.controller.abort();
+        }
     }
 
     /**
-     * Preload tiles for a list of frames within specific bounds
+     * 'loaded', 'loading' or 'failed' (errored and waiting on backoff, or out of attempts)
      */
-    preload(frames, map) {
-        if (!map) return;
+    getState(path, z, x, y) {
+        const key = this.getKey(path, z, x, y);
+        if (this.cache.has(key)) return 'loaded';
+        if (this.failures.has(key) && !this.activeRequests.has(key)) return 'failed';
+        return 'loading';
+    }
+
+    canRetry(key) {
+        const failure = this.failures.get(key);
+        if (!failure) return true;
+        return failure.attempts < this.retry.maxAttempts && Date.now() >= failure.nextRetryAt;
+    }
+
+    _recordFailure(key) {
+        const attempts = (this.failures.has(key) ? this.failures.get(key).attempts : 0) + 1;
+        // Exponential backoff: 1s, 2s, 4s, ... capped
+        const delay = Math.min(this.retry.baseDelayMs * Math.pow(2, attempts - 1), this.retry.maxDelayMs);
+        this.failures.set(key, { attempts, nextRetryAt: Date.now() + delay });
+        this.stats.failures++;
+
+        // Nothing polls the cache any more, so wake listeners up when the retry is due
+        if (attempts < this.retry.maxAttempts) {
+            setTimeout(() => this._notifyChange(), delay);
+        }
+    }
+
+    addChangeListener(fn) {
+        this.changeListeners.push(fn);
+    }
+
+    removeChangeListener(fn) {
+        this.changeListeners = this.changeListeners.filter(l => l !== fn);
+    }
+
+    _notifyChange() {
+        this.changeListeners.forEach(fn => fn());
+    }
+
+    // Forget all failures (e.g. after a fresh frame list) so tiles get a new set of attempts
+    resetFailures() {
+        this.failures.clear();
+    }
+
+    /**
+     * Resolve a tile: persistent store first, then the network.
+     * Network tiles are written back to the store for next time.
+     */
+    fetch(job) {
+        const { key, path, z, x, y, priority } = job;
+        const controller = new AbortController();
+        this.inFlight.set(key, { controller, priority });
+
+        const url = this.provider.getTileUrl(path, z, x, y);
+
+        const stored = this.store
+            ? this.store.getTile(key).catch(() => null)
+            : Promise.resolve(null);
+
+        stored
+            .then(blob => blob || this._download(url, key, path, controller.signal))
+            .then(blob => {
+                this.failures.delete(key);
+                return this._decode(blob, key, path, z, x, y);
+            })
+            .catch((error) => {
+                // Cancelled prefetches aren't failures, they just go back to unrequested
+                if (error.name !== 'AbortError') {
+                    // Don't cache errors; back off before the next attempt
+                    this._recordFailure(key);
+                }
+                this.activeRequests.delete(key);
+            })
+            .finally(() => {
+                this.inFlight.delete(key);
+                this._notifyChange();
+                this._pump();
+            });
+    }
+
+    _download(url, key, path, signal) {
+        return fetch(url, { signal })
+            .then(res => {
+                if (!res.ok) throw new Error(`Tile HTTP ${res.status}`);
+                return res.blob();
+            })
+            .then(blob => {
+                if (this.store) {
+                    this.store.putTile(key, path, blob).catch(e => console.warn("Tile store write failed:", e));
+                }
+                return blob;
+            });
+    }
+
+    _decode(blob, key, path, z, x, y) {
+        return new Promise((resolve, reject) => {
+            // Object URLs are same-origin, so the canvas stays untainted for getImageData / toDataURL
+            const objectUrl = URL.createObjectURL(blob);
+            const img = new Image();
+
+            img.onload = () => {
+                URL.revokeObjectURL(objectUrl);
+                // Decoded RGBA size, which is what actually sits in memory
+                const bytes = (img.naturalWidth || 256) * (img.naturalHeight || 256) * 4;
+                this.cache.set(key, { img, path, z, x, y, bytes });
+                this.totalBytes += bytes;
+                this.activeRequests.delete(key);
+                this.evict();
+                resolve(img);
+            };
+
+            img.onerror = () => {
+                URL.revokeObjectURL(objectUrl);
+                reject(new Error("Tile decode failed"));
+            };
+
+            img.src = objectUrl;
+        });
+    }
+
+    /**
+     * Tell the cache what is on screen so visible tiles are evicted last
+     */
+    setView(zoom, nw, se) {
+        this.view = { zoom, nw, se };
+    }
+
+    /**
+     * Tell the cache the frame order and where playback is, so frames far
+     * from the current one are evicted first
+     */
+    setFrames(frames, currentFrameIndex) {
+        this.framePositions = new Map(frames.map((f, i) => [f.path, i]));
+        this.currentFrameIndex = currentFrameIndex;
+    }
+
+    isOverBudget() {
+        return this.cache.size > this.maxTiles || this.totalBytes > this.maxBytes;
+    }
+
+    _isInView(entry) {
+        const v = this.view;
+        if (!v || entry.z !== v.zoom) return false;
+        return entry.x >= v.nw.x && entry.x < v.se.x && entry.y >= v.nw.y && entry.y < v.se.y;
+    }
+
+    _frameDistance(entry) {
+        const pos = this.framePositions.get(entry.path);
+        // Frames that rotated out of the list are the first to go
+        if (pos === undefined) return Infinity;
+        return Math.abs(pos - this.currentFrameIndex);
+    }
+
+    /**
+     * Drop tiles until back under budget.
+     * Order: farthest frame first, then least recently used. On-screen tiles are never dropped
+     * (they would only be fetched again on the next draw); if they alone exceed the budget,
+     * the cache stays over it until the view changes.
+     */
+    evict() {
+        if (!this.isOverBudget()) return;
+
+        // Evict down to 90% so we don't sort on every single load
+        const targetTiles = Math.floor(this.maxTiles * 0.9);
+        const targetBytes = Math.floor(this.maxBytes * 0.9);
+
+        let lru = 0;
+        const candidates = [];
+        for (const [key, entry] of this.cache) {
+            candidates.push({
+                key,
+                entry,
+                inView: this._isInView(entry) ? 1 : 0,
+                distance: this._frameDistance(entry),
+                lru: lru++
+            });
+        }
+
+        candidates.sort((a, b) =>
+            (a.inView - b.inView) ||
+            (b.distance - a.distance) ||
+            (a.lru - b.lru)
+        );
+
+        for (const c of candidates) {
+            if (this.cache.size <= targetTiles && this.totalBytes <= targetBytes) break;
+            if (c.inView) break; // Sorted last, so only on-screen tiles are left
+            this.cache.delete(c.key);
+            this.totalBytes -= c.entry.bytes;
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Snapshot of the counters for debugging (e.g. `tileCache.getStats()` in the console)
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            tiles: this.cache.size,
+            bytes: this.totalBytes,
+            maxTiles: this.maxTiles,
+            maxBytes: this.maxBytes,
+            pending: this.activeRequests.size,
+            queued: this.queue.size,
+            inFlight: this.inFlight.size
+        };
+    }
 
-        const zoom = map.getZoom();
+    // Tile range covering the map view at the zoom we actually fetch
+    getViewRange(map) {
+        const zoom = Math.min(map.getZoom(), this.getMaxZoom());
         const bounds = map.getBounds();
         const tileSize = 256;
-        const nw = map.project(bounds.getNorthWest(), zoom).divideBy(tileSize).floor();
-        const se = map.project(bounds.getSouthEast(), zoom).divideBy(tileSize).ceil();
+        return {
+            zoom,
+            nw: map.project(bounds.getNorthWest(), zoom).divideBy(tileSize).floor(),
+            se: map.project(bounds.getSouthEast(), zoom).divideBy(tileSize).ceil()
+        };
+    }
+
+    /**
+     * Queue the whole frame sequence for the current view, in play order:
+     * current frame first, then each following frame (wrapping around).
+     * Stops short of the cache budget so prefetching doesn't evict itself.
+     */
+    prefetchSequence(frames, currentIndex, map) {
+        if (!map || frames.length === 0) return;
 
-        // Limit preload to avoid network spam
-        const maxPreload = 5;
+        const { zoom, nw, se } = this.getViewRange(map);
+        const tilesPerFrame = Math.max(1, (se.x - nw.x) * (se.y - nw.y));
+        const maxFrames = Math.max(1, Math.floor(this.maxTiles * CONFIG.tileQueue.budgetShare / tilesPerFrame));
+        const count = Math.min(frames.length, maxFrames);
 
-        for (let i = 0; i < Math.min(frames.length, maxPreload); i++) {
-            const path = frames[i].path;
+        for (let d = 0; d < count; d++) {
+            const path = frames[(currentIndex + d) % frames.length].path;
             for (let x = nw.x; x < se.x; x++) {
                 for (let y = nw.y; y < se.y; y++) {
-                    this.get(path, zoom, x, y);
+                    this.request(path, zoom, x, y, d);
                 }
             }
         }
     }
+
+    /**
+     * How much of a frame is ready for the last rendered view
+     * Returns { loaded, failed, total } tile counts
+     */
+    getFrameProgress(path) {
+        const progress = { loaded: 0, failed: 0, total: 0 };
+        const v = this.view;
+        if (!v) return progress;
+
+        for (let x = v.nw.x; x < v.se.x; x++) {
+            for (let y = v.nw.y; y < v.se.y; y++) {
+                progress.total++;
+                const state = this.getState(path, v.zoom, x, y);
+                if (state === 'loaded') progress.loaded++;
+                else if (state === 'failed') progress.failed++;
+            }
+        }
+        return progress;
+    }
 }
 
-const tileCache = new TileCache();
+const tileCache = new TileCache({ store: tileStore });
+
+/**
+ * Ink Processor
+ * Runs InkRenderer (ink-core.js) in a Web Worker with OffscreenCanvas,
+ * falling back to the main thread when workers / OffscreenCanvas are unavailable.
+ * Both paths are promise-based so callers don't care which one ran.
+ */
+class InkProcessor {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.nextId = 1;
+        this.renderer = null; // Main-thread fallback, created lazily
+
+        if (window.Worker && window.OffscreenCanvas && window.createImageBitmap) {
+            try {
+                this.worker = new Worker('ink-worker.js');
+                this.worker.onmessage = (e) => this._onMessage(e.data);
+                this.worker.onerror = (e) => this._disableWorker(e.message || 'Worker error');
+            } catch (e) {
+                // e.g. file:// pages can't spawn workers
+                this._disableWorker(e.message);
+            }
+        }
+    }
+
+    _onMessage({ id, result, error }) {
+        const job = this.pending.get(id);
+        if (!job) return;
+        this.pending.delete(id);
+        if (error) {
+            job.reject(new Error(error));
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    _disableWorker(reason) {
+        console.warn("Ink worker unavailable, processing on main thread:", reason);
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+
+        this.pending.forEach(job => job.reject(new Error(reason)));
+        this.pending.clear();
+    }
+
+    _call(type, payload, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    _fallback() {
+        if (!this.renderer) {
+            this.renderer = new InkRenderer((w, h) => {
+                const canvas = document.createElement('canvas');
+                canvas.width = w;
+                canvas.height = h;
+                return canvas;
+            });
+        }
+        return this.renderer;
+    }
+
+    /**
+     * Raw radar canvas -> processed ink (ImageBitmap from the worker, canvas from the fallback)
+     */
+    async process(source, params) {
+        if (this.worker) {
+            // createImageBitmap snapshots the canvas synchronously, so the buffer can be reused right away
+            const bitmap = await createImageBitmap(source);
+            return this._call('process', { bitmap, params }, [bitmap]);
+        }
+        return this._fallback().process(source, params);
+    }
+
+    /**
+     * Marching squares on the last processed ink -> { rings, minX, minY, maxX, maxY } | null (pixels)
+     * style: { blur, contrast, threshold, scale, simplify } for the contour pass
+     */
+    async outlines(clip, style) {
+        if (this.worker) {
+            return this._call('outlines', { clip, style });
+        }
+        return this._fallback().outlines(clip, style);
+    }
+}
+
+const inkProcessor = new InkProcessor();
+
+/**
+ * Ink Presets
+ * Named tunings for the ink effect. The built-in ones are read-only;
+ * user presets live in localStorage and can be exported as JSON.
+ *
+ * blur / contrast / alpha / overlayAlpha: the liquify filter on screen (overlayAlpha is used in BOTH mode)
+ * outlineBlur / outlineContrast / outlineThreshold / outlineScale / outlineSimplify: the contour pass in getOutlines
+ */
+const BUILT_IN_INK_PRESETS = {
+    default: {
+        blur: 3, contrast: 200, alpha: 0.9, overlayAlpha: 0.8,
+        outlineBlur: 8, outlineContrast: 400, outlineThreshold: 60, outlineScale: 0.75, outlineSimplify: 1
+    },
+    // Crisp edges that follow the radar closely
+    tight: {
+        blur: 1, contrast: 300, alpha: 0.95, overlayAlpha: 0.85,
+        outlineBlur: 3, outlineContrast: 500, outlineThreshold: 100, outlineScale: 1, outlineSimplify: 0.5
+    },
+    // Soft, merged blobs
+    loose: {
+        blur: 6, contrast: 160, alpha: 0.85, overlayAlpha: 0.75,
+        outlineBlur: 12, outlineContrast: 300, outlineThreshold: 40, outlineScale: 0.5, outlineSimplify: 2
+    },
+    // Hard-edged droplets that keep small cells apart
+    splatter: {
+        blur: 2, contrast: 400, alpha: 1, overlayAlpha: 0.9,
+        outlineBlur: 4, outlineContrast: 600, outlineThreshold: 140, outlineScale: 0.75, outlineSimplify: 1
+    }
+};
+
+class InkPresetStore {
+    constructor(storageKey = 'rorschach-ink-presets') {
+        this.storageKey = storageKey;
+        this.user = this._load();
+    }
+
+    _load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.warn("Ink presets unreadable, starting empty:", e);
+            return {};
+        }
+    }
+
+    _persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.user));
+        } catch (e) {
+            console.warn("Ink presets not saved:", e);
+        }
+    }
+
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(BUILT_IN_INK_PRESETS, name);
+    }
+
+    has(name) {
+        return this.isBuiltIn(name) || Object.prototype.hasOwnProperty.call(this.user, name);
+    }
+
+    // Names the preset picker uses for itself (any case, since the picker shows names uppercased)
+    isReserved(name) {
+        return InkPresetStore.RESERVED_NAMES.includes(name.toLowerCase());
+    }
+
+    // Built-ins first, then user presets in the order they were saved
+    names() {
+        return [...Object.keys(BUILT_IN_INK_PRESETS), ...Object.keys(this.user)];
+    }
+
+    get(name) {
+        if (!this.has(name)) return null;
+        const style = this.isBuiltIn(name) ? BUILT_IN_INK_PRESETS[name] : this.user[name];
+        // Fill gaps from the default so presets saved by older versions still load
+        return style ? { ...BUILT_IN_INK_PRESETS.default, ...style } : null;
+    }
+
+    save(name, style) {
+        if (this.isBuiltIn(name)) throw new Error(`"${name}" is a built-in preset`);
+        if (this.isReserved(name)) throw new Error(`"${name}" is a reserved name`);
+        this.user[name] = { ...style };
+        this._persist();
+    }
+
+    rename(oldName, newName) {
+        if (this.isBuiltIn(oldName) || !this.has(oldName)) throw new Error(`"${oldName}" is not a saved preset`);
+        if (this.has(newName)) throw new Error(`"${newName}" already exists`);
+        if (this.isReserved(newName)) throw new Error(`"${newName}" is a reserved name`);
+
+        // Rebuild so the preset keeps its place in the list
+        const renamed = {};
+        for (const [name, style] of Object.entries(this.user)) {
+            renamed[name === oldName ? newName : name] = style;
+        }
+        this.user = renamed;
+        this._persist();
+    }
+
+    toJSON(name) {
+        return JSON.stringify({ name, settings: this.get(name) }, null, 2);
+    }
+}
+
+// 'custom' is the picker's own entry for hand-tuned values; '__proto__' can't be a key of this.user
+InkPresetStore.RESERVED_NAMES = ['custom', '__proto__'];
+
+const inkPresets = new InkPresetStore();
 
 /**
  * L.RorschachLayer
  * Single Canvas Layer driven by a RAF loop.
- * Handles both Radar and Ink Blot rendering modes.
+ * Handles Radar, Ink Blot and Kaleidoscope rendering modes.
  */
 L.RorschachLayer = L.Layer.extend({
     initialize: function(options) {
         this.options = options || {};
         this.timestamp = null;
-        this.mode = 'radar'; // 'radar', 'inkblot', 'both'
+        this.mode = 'radar'; // 'radar', 'inkblot', 'both', 'kaleido'
         this.opacity = 0.8;
 
         this.canvas = document.createElement('canvas');
@@ -114,7 +960,56 @@ L.RorschachLayer = L.Layer.extend({
 
         this.frame = null;
         this._frameId = null;
-        this.outlineSegments = null; // Store segments for rendering
+        this.outlineRings = null; // Closed outline rings ([LatLng]) for rendering
+
+        // Render scheduler: only redraw when something changed
+        this._dirty = false;
+        this._inkDirty = false; // Raw radar changed since the last ink processing
+        this._lastRenderTime = 0;
+        this.maxFps = this.options.maxFps || CONFIG.render.maxFps;
+
+        // Mirror stage for Ink Blot mode
+        // axis: 'vertical' (left/right fold), 'horizontal' (top/bottom fold), 'none'
+        // origin: 'viewport' (screen center) or 'selection' (selection rectangle center)
+        // blend: 'union', 'overlay' or 'press' (halves bleed together)
+        this.symmetry = {
+            axis: 'vertical',
+            origin: 'viewport',
+            blend: 'union',
+            center: null // LatLng of the selection center, used when origin is 'selection'
+        };
+
+        // Radial stage for Kaleido mode
+        // type: 'rotational' (N copies rotated around the center) or 'kaleidoscope' (mirrored wedges)
+        this.radial = {
+            type: 'rotational',
+            segments: 6,
+            center: null // LatLng of the draggable center point (viewport center if null)
+        };
+
+        // Playback tween toward the next frame: { frame, t (0..1), mode: 'crossfade' | 'motion' }
+        this.tween = null;
+        this.motionCache = new Map(); // "pathA|pathB|zoom" -> { dx, dy } in screen pixels
+        this.provisionalMotion = null; // { key, motion } for the pair still loading
+
+        // Reflectivity threshold for ink: pixels below minDbz stay blank,
+        // levels > 1 steps the ink density with echo strength
+        this.intensity = {
+            minDbz: 0,
+            levels: 1
+        };
+
+        // Ink effect tuning (see BUILT_IN_INK_PRESETS)
+        this.inkStyle = { ...BUILT_IN_INK_PRESETS.default, ...this.options.inkStyle };
+
+        // Wet ink: ink from earlier frames fades out instead of vanishing
+        // length: frames kept on screen including the current one (0 = off)
+        // halfLife: frames until an old frame's ink is at half strength
+        this.wetInk = {
+            length: 0,
+            halfLife: 2
+        };
+        this.trail = []; // Older processed inks, oldest first: { image, origin, zoom, time }
     },
 
     onAdd: function(map) {
@@ -150,31 +1045,105 @@ L.RorschachLayer = L.Layer.extend({
         this.buffer = document.createElement('canvas');
         this.bufferCtx = this.buffer.getContext('2d', { willReadFrequently: true });
 
-        // Start Loop
-        this._renderLoop();
+        // Wet ink composite: the trail plus the current ink, before the liquify filter
+        this.wetBuffer = document.createElement('canvas');
+        this.wetBufferCtx = this.wetBuffer.getContext('2d');
+
+        // Tween scratch canvases: the next frame, and a copy of the current one while blending
+        this.nextBuffer = document.createElement('canvas');
+        this.nextBufferCtx = this.nextBuffer.getContext('2d', { willReadFrequently: true });
+        this.tweenBuffer = document.createElement('canvas');
+        this.tweenBufferCtx = this.tweenBuffer.getContext('2d');
+
+        // Latest processed ink: { image, origin (LatLng of its top-left), zoom, time (frame time) }
+        this.ink = null;
+        this.inkJob = null; // Promise while a frame is being processed
 
         // Events
         this.map.on('resize', this._resetCanvas, this);
+        this.map.on('move zoom viewreset', this._onViewChange, this);
+        this._onTileChange = () => this.requestRender();
+        tileCache.addChangeListener(this._onTileChange);
         this._resetCanvas();
+
+        // First Draw
+        this.requestRender();
     },
 
     onRemove: function(map) {
         cancelAnimationFrame(this._frameId);
+        this._frameId = null;
         if (this.canvas.parentNode) this.canvas.parentNode.removeChild(this.canvas);
         if (this.outlineCanvas.parentNode) this.outlineCanvas.parentNode.removeChild(this.outlineCanvas);
         this.map.off('resize', this._resetCanvas, this);
+        this.map.off('move zoom viewreset', this._onViewChange, this);
+        tileCache.removeChangeListener(this._onTileChange);
+        this.clearTrail();
     },
 
     setFrame: function(frame) {
         this.frame = frame;
+        this.requestRender();
     },
 
     setMode: function(mode) {
         this.mode = mode;
+        // Radar mode stops producing ink, so whatever trail is left would be stale on return
+        this.clearTrail();
+        this.requestRender();
+    },
+
+    setOutlines: function(rings) {
+        this.outlineRings = rings;
+        // Outlines don't touch the radar, so the ink can be reused
+        this.requestRender('outlines');
+    },
+
+    setSymmetry: function(options) {
+        this.symmetry = { ...this.symmetry, ...options };
+        this.requestRender();
+    },
+
+    setRadial: function(options) {
+        this.radial = { ...this.radial, ...options };
+        this.requestRender();
+    },
+
+    /**
+     * Blend toward `frame` by t (0..1) on the next draws; null clears the tween
+     */
+    setTween: function(frame, t, mode) {
+        this.tween = frame ? { frame, t, mode: mode || 'crossfade' } : null;
+        this.requestRender();
+    },
+
+    setIntensity: function(options) {
+        this.intensity = { ...this.intensity, ...options };
+        this.requestRender();
+    },
+
+    // Filter and contour tuning; only changes how ink is drawn, so no re-processing
+    setInkStyle: function(options) {
+        this.inkStyle = { ...this.inkStyle, ...options };
+        this.requestRender('ink');
     },
 
-    setOutlines: function(segments) {
-        this.outlineSegments = segments;
+    setWetInk: function(options) {
+        this.wetInk = { ...this.wetInk, ...options };
+        if (this.wetInk.length <= 1) this.clearTrail();
+        this.requestRender('ink');
+    },
+
+    // Drop the wet ink trail (view changed, playback jumped, or the effect was switched off)
+    clearTrail: function() {
+        const old = this.trail;
+        this.trail = [];
+        old.forEach(entry => this._releaseInk(entry.image));
+    },
+
+    // 0 = redraw on every animation frame that has changes
+    setMaxFps: function(fps) {
+        this.maxFps = fps;
     },
 
     _resetCanvas: function() {
@@ -189,11 +1158,51 @@ L.RorschachLayer = L.Layer.extend({
 
         this.buffer.width = size.x;
         this.buffer.height = size.y;
+
+        this.nextBuffer.width = size.x;
+        this.nextBuffer.height = size.y;
+        this.tweenBuffer.width = size.x;
+        this.tweenBuffer.height = size.y;
+
+        this.wetBuffer.width = size.x;
+        this.wetBuffer.height = size.y;
+
+        this.clearTrail();
+        this.requestRender();
+    },
+
+    _onViewChange: function() {
+        // Old ink was rendered for the previous view; trails across a pan or zoom smear
+        this.clearTrail();
+        this.requestRender();
+    },
+
+    /**
+     * Mark the layer dirty and schedule a redraw on the next animation frame.
+     * reason: 'ink' / 'outlines' when only the overlay changed, so the radar needs no re-processing.
+     */
+    requestRender: function(reason) {
+        if (reason !== 'ink' && reason !== 'outlines') this._inkDirty = true;
+        this._dirty = true;
+
+        if (this._frameId === null && this.map) {
+            this._frameId = requestAnimationFrame(this._onAnimationFrame.bind(this));
+        }
     },
 
-    _renderLoop: function() {
+    _onAnimationFrame: function(time) {
+        this._frameId = null;
+        if (!this._dirty) return;
+
+        // Frame-rate cap: too soon, try again next frame (stays dirty)
+        if (this.maxFps > 0 && time - this._lastRenderTime < 1000 / this.maxFps) {
+            this._frameId = requestAnimationFrame(this._onAnimationFrame.bind(this));
+            return;
+        }
+
+        this._dirty = false;
+        this._lastRenderTime = time;
         this._render();
-        this._frameId = requestAnimationFrame(this._renderLoop.bind(this));
     },
 
     _render: function() {
@@ -224,7 +1233,17 @@ L.RorschachLayer = L.Layer.extend({
         const nw = this.map.project(bounds.getNorthWest(), zoom).divideBy(tileSize).floor();
         const se = this.map.project(bounds.getSouthEast(), zoom).divideBy(tileSize).ceil();
 
+        // Overzoom: past the provider's max zoom, each screen tile is a quadrant of an ancestor tile
+        const dataZoom = Math.min(zoom, tileCache.getMaxZoom());
+        const depth = zoom - dataZoom;
+        tileCache.setView(
+            dataZoom,
+            this.map.project(bounds.getNorthWest(), dataZoom).divideBy(tileSize).floor(),
+            this.map.project(bounds.getSouthEast(), dataZoom).divideBy(tileSize).ceil()
+        );
+
         let loadedCount = 0;
+        let failedCount = 0;
         let totalCount = 0;
 
         // 2. Draw Tiles to Buffer
@@ -235,12 +1254,16 @@ L.RorschachLayer = L.Layer.extend({
                 const tilePos = this.map.unproject([x * tileSize, y * tileSize], zoom);
                 const drawPos = this.map.latLngToContainerPoint(tilePos);
 
+                // Source tile at the data zoom (the tile itself unless overzoomed)
+                const srcX = x >> depth;
+                const srcY = y >> depth;
+
                 // Check Cache
-                const img = tileCache.get(this.frame.path, zoom, x, y);
+                const img = tileCache.get(this.frame.path, dataZoom, srcX, srcY);
 
                 if (img && img.complete && img.naturalWidth > 0) {
-                    // Draw Tile
-                    this.bufferCtx.drawImage(img, drawPos.x, drawPos.y, tileSize, tileSize);
+                    // Draw Tile (or the upscaled quadrant of its ancestor)
+                    this._drawTilePart(img, depth, x, y, drawPos, tileSize);
 
                     // Draw Coverage Grid (Loaded)
                     ctx.strokeStyle = 'rgba(0, 255, 0, 0.1)';
@@ -248,11 +1271,33 @@ L.RorschachLayer = L.Layer.extend({
                     ctx.strokeRect(drawPos.x, drawPos.y, tileSize, tileSize);
 
                     loadedCount++;
-                } else {
-                    // Draw Coverage Grid (Loading) - Orange Overlay
-                    ctx.fillStyle = 'rgba(255, 165, 0, 0.2)'; // Orange 20%
+                } else if (tileCache.getState(this.frame.path, dataZoom, srcX, srcY) === 'failed') {
+                    // Draw Coverage Grid (Failed) - Red Cross, distinct from loading
+                    ctx.fillStyle = 'rgba(255, 0, 0, 0.1)';
                     ctx.fillRect(drawPos.x, drawPos.y, tileSize, tileSize);
 
+                    ctx.strokeStyle = 'rgba(255, 0, 0, 0.4)';
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(drawPos.x, drawPos.y, tileSize, tileSize);
+                    ctx.beginPath();
+                    ctx.moveTo(drawPos.x, drawPos.y);
+                    ctx.lineTo(drawPos.x + tileSize, drawPos.y + tileSize);
+                    ctx.moveTo(drawPos.x + tileSize, drawPos.y);
+                    ctx.lineTo(drawPos.x, drawPos.y + tileSize);
+                    ctx.stroke();
+
+                    failedCount++;
+                } else {
+                    // Placeholder: upscale a lower-zoom tile we already have while this one loads
+                    const ancestor = tileCache.findAncestor(this.frame.path, dataZoom, srcX, srcY);
+                    if (ancestor) {
+                        this._drawTilePart(ancestor.img, depth + ancestor.levels, x, y, drawPos, tileSize);
+                    } else {
+                        // Draw Coverage Grid (Loading) - Orange Overlay
+                        ctx.fillStyle = 'rgba(255, 165, 0, 0.2)'; // Orange 20%
+                        ctx.fillRect(drawPos.x, drawPos.y, tileSize, tileSize);
+                    }
+
                     ctx.strokeStyle = 'rgba(255, 165, 0, 0.5)';
                     ctx.lineWidth = 1;
                     ctx.strokeRect(drawPos.x, drawPos.y, tileSize, tileSize);
@@ -260,6 +1305,11 @@ L.RorschachLayer = L.Layer.extend({
             }
         }
 
+        // 2b. Playback tween: morph the buffer toward the next frame
+        if (this.tween && this.tween.t > 0) {
+            this._applyTween(width, height, { nw, se, zoom, dataZoom, depth, tileSize });
+        }
+
         // 3. Apply Effects based on Mode
         if (this.mode === 'radar') {
             // Just draw buffer to main
@@ -274,218 +1324,415 @@ L.RorschachLayer = L.Layer.extend({
             ctx.globalAlpha = 0.5;
             ctx.drawImage(this.buffer, 0, 0);
 
-            // Draw Ink Layer on top
-            this._applyInkEffect(ctx, width, height);
+            // Draw Ink Layer on top
+            this._applyInkEffect(ctx, width, height);
+        }
+        else if (this.mode === 'kaleido') {
+            this._applyInkEffect(ctx, width, height);
+        }
+
+        // 4. Draw Outlines (if any)
+        if (this.outlineRings && this.outlineRings.length > 0) {
+            outCtx.strokeStyle = '#FF0000';
+            outCtx.lineWidth = 5;
+            outCtx.lineCap = 'round';
+            outCtx.lineJoin = 'round';
+            outCtx.shadowColor = '#FF0000';
+            outCtx.shadowBlur = 10;
+
+            outCtx.beginPath();
+            for (const ring of this.outlineRings) {
+                // ring is { latLngs, hole }; outer boundaries and holes are both stroked
+                ring.latLngs.forEach((latLng, i) => {
+                    const p = this.map.latLngToContainerPoint(latLng);
+                    if (i === 0) outCtx.moveTo(p.x, p.y);
+                    else outCtx.lineTo(p.x, p.y);
+                });
+                outCtx.closePath();
+            }
+            outCtx.stroke();
+        }
+
+        // Update Status via global App (hacky but effective for this scale)
+        if (window.app) {
+            if (loadedCount === totalCount && totalCount > 0) {
+                window.app.updateStatus('status.online', false);
+            } else if (failedCount * 2 > totalCount) {
+                // Common with nowcast frames that haven't been generated yet
+                window.app.updateStatus('status.frameUnavailable', false);
+            } else if (loadedCount + failedCount === totalCount) {
+                window.app.updateStatus('status.missingTiles', false);
+            } else {
+                window.app.updateStatus('status.scanning', true);
+            }
+        }
+    },
+
+    // Draw screen tile (x, y) from an image `levels` zooms above it (0 = the tile itself)
+    _drawTilePart: function(img, levels, x, y, drawPos, tileSize, targetCtx = this.bufferCtx) {
+        if (levels === 0) {
+            targetCtx.drawImage(img, drawPos.x, drawPos.y, tileSize, tileSize);
+            return;
+        }
+
+        const scale = 1 << levels;
+        const sub = img.naturalWidth / scale;
+        // Position of this tile inside its ancestor (x >> levels is the ancestor column)
+        const qx = x - ((x >> levels) << levels);
+        const qy = y - ((y >> levels) << levels);
+
+        targetCtx.drawImage(img, qx * sub, qy * sub, sub, sub, drawPos.x, drawPos.y, tileSize, tileSize);
+    },
+
+    /**
+     * Blend the current frame (in the buffer) with the tween's next frame.
+     * 'crossfade' fades in place; 'motion' also slides both images along the
+     * estimated storm motion so cells travel instead of popping.
+     */
+    _applyTween: function(width, height, view) {
+        const { frame, t, mode } = this.tween;
+        const { nw, se, zoom, dataZoom, depth, tileSize } = view;
+
+        // 1. Next frame into its own buffer (loaded tiles and placeholders only, no grid)
+        const nCtx = this.nextBufferCtx;
+        nCtx.clearRect(0, 0, width, height);
+        let complete = true;
+
+        for (let x = nw.x; x < se.x; x++) {
+            for (let y = nw.y; y < se.y; y++) {
+                const tilePos = this.map.unproject([x * tileSize, y * tileSize], zoom);
+                const drawPos = this.map.latLngToContainerPoint(tilePos);
+                const srcX = x >> depth;
+                const srcY = y >> depth;
+
+                const img = tileCache.get(frame.path, dataZoom, srcX, srcY);
+                if (img && img.complete && img.naturalWidth > 0) {
+                    this._drawTilePart(img, depth, x, y, drawPos, tileSize, nCtx);
+                } else {
+                    complete = false;
+                    const ancestor = tileCache.findAncestor(frame.path, dataZoom, srcX, srcY);
+                    if (ancestor) {
+                        this._drawTilePart(ancestor.img, depth + ancestor.levels, x, y, drawPos, tileSize, nCtx);
+                    }
+                }
+            }
         }
 
-        // 4. Draw Outlines (if any)
-        if (this.outlineSegments && this.outlineSegments.length > 0) {
-            outCtx.strokeStyle = '#FF0000';
-            outCtx.lineWidth = 5;
-            outCtx.lineCap = 'round';
-            outCtx.lineJoin = 'round';
-            outCtx.shadowColor = '#FF0000';
-            outCtx.shadowBlur = 10;
+        // 2. Displacement between the frames (zero for a plain crossfade)
+        const motion = mode === 'motion'
+            ? this._estimateMotion(this.frame.path, frame.path, zoom, complete)
+            : { dx: 0, dy: 0 };
+
+        // 3. Current frame slides forward by t, next frame arrives from -(1 - t)
+        const tCtx = this.tweenBufferCtx;
+        tCtx.clearRect(0, 0, width, height);
+        tCtx.drawImage(this.buffer, 0, 0);
+
+        const bCtx = this.bufferCtx;
+        bCtx.save();
+        bCtx.clearRect(0, 0, width, height);
+        bCtx.globalAlpha = 1 - t;
+        bCtx.drawImage(this.tweenBuffer, motion.dx * t, motion.dy * t);
+        bCtx.globalAlpha = t;
+        bCtx.drawImage(this.nextBuffer, -motion.dx * (1 - t), -motion.dy * (1 - t));
+        bCtx.restore();
+    },
 
-            outCtx.beginPath();
-            for (const seg of this.outlineSegments) {
-                // seg is [p1, p2] where p1, p2 are LatLngs
-                const p1 = this.map.latLngToContainerPoint(seg[0]);
-                const p2 = this.map.latLngToContainerPoint(seg[1]);
+    /**
+     * Storm motion from the buffer to the next buffer, in screen pixels.
+     * Estimated on a 1/16 downscale, once per frame pair and zoom: while tiles are still missing
+     * the estimate is kept as provisional, and redone a single time once both frames are fully loaded.
+     */
+    _estimateMotion: function(pathA, pathB, zoom, complete) {
+        const key = `${pathA}|${pathB}|${zoom}`;
+        if (this.motionCache.has(key)) return this.motionCache.get(key);
+        if (!complete && this.provisionalMotion && this.provisionalMotion.key === key) {
+            return this.provisionalMotion.motion;
+        }
 
-                outCtx.moveTo(p1.x, p1.y);
-                outCtx.lineTo(p2.x, p2.y);
-            }
-            outCtx.stroke();
+        const factor = 16;
+        const w = Math.max(1, Math.floor(this.buffer.width / factor));
+        const h = Math.max(1, Math.floor(this.buffer.height / factor));
+
+        if (!this.motionCanvas) {
+            this.motionCanvas = document.createElement('canvas');
+            this.motionCtx = this.motionCanvas.getContext('2d', { willReadFrequently: true });
         }
+        this.motionCanvas.width = w;
+        this.motionCanvas.height = h;
 
-        // Update Status via global App (hacky but effective for this scale)
-        if (window.app) {
-            if (loadedCount === totalCount && totalCount > 0) {
-                window.app.updateStatus('ONLINE', false);
-            } else {
-                window.app.updateStatus('SCANNING...', true);
-            }
+        const sample = (source) => {
+            this.motionCtx.clearRect(0, 0, w, h);
+            this.motionCtx.drawImage(source, 0, 0, w, h);
+            return this.motionCtx.getImageData(0, 0, w, h).data;
+        };
+
+        // Storms rarely move more than ~100px between frames at any zoom
+        const radius = 6;
+        const cell = InkMotion.estimateDisplacement(sample(this.buffer), sample(this.nextBuffer), w, h, radius);
+        const motion = { dx: cell.dx * factor, dy: cell.dy * factor };
+
+        if (complete) {
+            // Keep the cache small; playback only ever needs the pairs in the sequence
+            if (this.motionCache.size > 64) this.motionCache.clear();
+            this.motionCache.set(key, motion);
+        } else {
+            this.provisionalMotion = { key, motion };
         }
+        return motion;
     },
 
     _applyInkEffect: function(ctx, width, height) {
-        // 1. Get Pixel Data from Buffer (Raw Radar)
-        const imgData = this.bufferCtx.getImageData(0, 0, width, height);
-        const data = imgData.data;
-
-        // 2. Threshold & Flatten (Isolation)
-        // Turn any rain pixel into Pure White
-        for (let i = 0; i < data.length; i += 4) {
-            if (data[i + 3] > 0) { // If Alpha > 0
-                data[i] = 255;     // R
-                data[i + 1] = 255; // G
-                data[i + 2] = 255; // B
-                data[i + 3] = 255; // Full Alpha
-            }
+        // 1. Kick off processing of this frame's raw radar (thresholding + symmetry run in the ink worker)
+        // Only when the radar actually changed; a render triggered by finished ink just redraws it.
+        // If a job is still running we stay dirty and pick it up when it lands.
+        if (this._inkDirty && !this.inkJob) {
+            this._inkDirty = false;
+            this._processInk().catch(e => console.warn("Ink processing failed:", e));
         }
 
-        // 3. Put modified data back to buffer (or a temp canvas)
-        // We can reuse bufferCtx since we already read from it and won't need raw radar again this frame
-        this.bufferCtx.putImageData(imgData, 0, 0);
+        // 2. Draw the most recent processed ink, shifted to where the map has moved since
+        const offset = this._inkOffset();
+        if (!offset) return;
+
+        // 3. Wet ink: lay the fading trail under the current ink first
+        let source = this.ink.image;
+        let sourcePos = offset;
+        if (this.trail.length > 0) {
+            this._composeWetInk(width, height);
+            source = this.wetBuffer;
+            sourcePos = { x: 0, y: 0 };
+        }
 
         // 4. Draw to Main Canvas with Filters (Liquify)
+        const style = this.inkStyle;
         ctx.save();
-        ctx.globalAlpha = this.mode === 'both' ? 0.8 : 0.9;
+        ctx.globalAlpha = this.mode === 'both' ? style.overlayAlpha : style.alpha;
 
         // The Magic Combo: Blur + Contrast
         // Blur spreads the white pixels. Contrast chokes the gradient, creating organic blobs.
-        ctx.filter = 'blur(3px) contrast(200%)';
+        ctx.filter = `blur(${style.blur}px) contrast(${style.contrast}%)`;
 
         // Draw the white blobs
-        ctx.drawImage(this.buffer, 0, 0);
+        ctx.drawImage(source, sourcePos.x, sourcePos.y);
 
         ctx.restore();
     },
 
-    // New: Extract outlines using Marching Squares
-    getOutlines: function(clippingBounds) {
-        const width = this.buffer.width;
-        const height = this.buffer.height;
-
-        // Higher resolution for better accuracy (0.75 instead of 0.5)
-        const scale = 0.75;
-        const smWidth = Math.floor(width * scale);
-        const smHeight = Math.floor(height * scale);
-
-        const smCanvas = document.createElement('canvas');
-        smCanvas.width = smWidth;
-        smCanvas.height = smHeight;
-        const smCtx = smCanvas.getContext('2d');
-
-        // Draw the buffer with the blur filter applied
-        // Increased blur and contrast to merge blobs and catch faint edges
-        // Increased blur from 4px to 8px for much looser, organic shapes
-        smCtx.filter = 'blur(8px) contrast(400%)';
-        smCtx.drawImage(this.buffer, 0, 0, smWidth, smHeight);
-
-        // --- SMART CLIPPING ---
-        // If clippingBounds provided (in container pixels), clear everything outside it.
-        // This forces the marching squares to see a "cut" edge.
-        if (clippingBounds) {
-            // clippingBounds: { minX, minY, maxX, maxY }
-            // Scale to smCanvas coords
-            const minX = clippingBounds.minX * scale;
-            const minY = clippingBounds.minY * scale;
-            const maxX = clippingBounds.maxX * scale;
-            const maxY = clippingBounds.maxY * scale;
-
-            smCtx.globalCompositeOperation = 'destination-in';
-            smCtx.fillStyle = '#000';
-            smCtx.beginPath();
-            smCtx.rect(minX, minY, maxX - minX, maxY - minY);
-            smCtx.fill();
-            smCtx.globalCompositeOperation = 'source-over'; // Reset
-        }
-
-        const imgData = smCtx.getImageData(0, 0, smWidth, smHeight);
-        const data = imgData.data;
-
-        // Marching Squares Implementation
-        // Lower threshold (60/255 approx 23%) to catch even fainter "ink"
-        const threshold = 60;
-        const segments = []; // Store line segments [x1, y1, x2, y2]
-        let minX = smWidth, minY = smHeight, maxX = 0, maxY = 0;
-        let hasShape = false;
-
-        const getState = (x, y) => {
-            if (x < 0 || y < 0 || x >= smWidth || y >= smHeight) return 0;
-            const idx = (y * smWidth + x) * 4;
-            return data[idx + 3] > threshold ? 1 : 0;
+    /**
+     * Composite the trail (oldest first, each faded by its age) and the current ink into the wet buffer.
+     * An ink `age` frames old is drawn at 0.5^(age / halfLife).
+     */
+    _composeWetInk: function(width, height) {
+        const wCtx = this.wetBufferCtx;
+        wCtx.clearRect(0, 0, width, height);
+
+        const draw = (entry, alpha) => {
+            const pos = this.map.latLngToContainerPoint(entry.origin);
+            wCtx.globalAlpha = alpha;
+            wCtx.drawImage(entry.image, pos.x, pos.y);
         };
 
-        // Lookup table for lines (x1,y1 to x2,y2 relative to cell)
-        const lines = [
-            [], // 0
-            [[0, 0.5], [0.5, 1]], // 1: BL
-            [[0.5, 1], [1, 0.5]], // 2: BR
-            [[0, 0.5], [1, 0.5]], // 3: BL + BR (Horizontal)
-            [[0.5, 0], [1, 0.5]], // 4: TR
-            [[0, 0.5], [0.5, 0], [0.5, 1], [1, 0.5]], // 5: BL + TR (Saddle)
-            [[0.5, 0], [0.5, 1]], // 6: BR + TR (Vertical)
-            [[0, 0.5], [0.5, 0]], // 7: BL + BR + TR (Corner cut)
-            [[0, 0.5], [0.5, 0]], // 8: TL
-            [[0.5, 0], [0.5, 1]], // 9: TL + BL (Vertical)
-            [[0.5, 0], [1, 0.5], [0, 0.5], [0.5, 1]], // 10: TL + BR (Saddle)
-            [[0.5, 0], [1, 0.5]], // 11: TL + BL + BR
-            [[0, 0.5], [1, 0.5]], // 12: TL + TR (Horizontal)
-            [[0.5, 1], [1, 0.5]], // 13: TL + TR + BL
-            [[0, 0.5], [0.5, 1]], // 14: TL + TR + BR
-            [] // 15
-        ];
+        this.trail.forEach((entry, i) => {
+            const age = this.trail.length - i;
+            draw(entry, Math.pow(0.5, age / this.wetInk.halfLife));
+        });
+        draw(this.ink, 1);
+        wCtx.globalAlpha = 1;
+    },
 
-        for (let y = 0; y < smHeight - 1; y++) {
-            for (let x = 0; x < smWidth - 1; x++) {
-                const tl = getState(x, y);
-                const tr = getState(x + 1, y);
-                const br = getState(x + 1, y + 1);
-                const bl = getState(x, y + 1);
+    /**
+     * Move the outgoing ink into the trail when a new frame's ink replaces it.
+     * Re-processing the same frame (pans, tweens, settings) just replaces the ink in place.
+     */
+    _advanceTrail: function(previous, next) {
+        if (!previous) return;
 
-                const index = (tl * 8) + (tr * 4) + (br * 2) + (bl * 1);
+        // Playback jumped backwards (scrubbing or the loop wrapping): start a fresh trail
+        const backwards = previous.time > next.time;
+        if (backwards) this.clearTrail();
 
-                if (index === 0 || index === 15) continue;
+        const keep = this.wetInk.length > 1 && !backwards && previous.time !== next.time && previous.zoom === next.zoom;
 
-                hasShape = true;
-                const segs = lines[index];
+        if (!keep) {
+            this._releaseInk(previous.image);
+            return;
+        }
 
-                for (let i = 0; i < segs.length; i++) {
-                    if (i + 1 < segs.length) {
-                         const p1 = segs[i];
-                         const p2 = segs[i+1];
+        this.trail.push(previous);
+        while (this.trail.length > this.wetInk.length - 1) {
+            this._releaseInk(this.trail.shift().image);
+        }
+    },
 
-                         // Scale up to screen coords
-                         const x1 = (x + p1[0]) / scale;
-                         const y1 = (y + p1[1]) / scale;
-                         const x2 = (x + p2[0]) / scale;
-                         const y2 = (y + p2[1]) / scale;
+    // Free an ImageBitmap unless it is still the current ink or part of the trail
+    _releaseInk: function(image) {
+        if (!image || !image.close) return;
+        if (this.ink && this.ink.image === image) return;
+        if (this.trail.some(entry => entry.image === image)) return;
+        image.close();
+    },
 
-                         segments.push([x1, y1, x2, y2]);
-                         i++;
+    // Resolve the symmetry / radial settings to pixels for the ink pipeline
+    _getInkParams: function(width, height) {
+        let foldPoint = { x: width / 2, y: height / 2 };
+        if (this.symmetry.origin === 'selection' && this.symmetry.center) {
+            foldPoint = this.map.latLngToContainerPoint(this.symmetry.center);
+        }
 
-                         // Update bounds
-                         minX = Math.min(minX, x1, x2);
-                         minY = Math.min(minY, y1, y2);
-                         maxX = Math.max(maxX, x1, x2);
-                         maxY = Math.max(maxY, y1, y2);
-                    }
-                }
+        const radialCenter = this.radial.center
+            ? this.map.latLngToContainerPoint(this.radial.center)
+            : { x: width / 2, y: height / 2 };
+
+        return {
+            mode: this.mode,
+            intensity: {
+                // The provider knows which color table its tiles use
+                palette: tileCache.provider ? tileCache.provider.palette : null,
+                minDbz: this.intensity.minDbz,
+                levels: this.intensity.levels
+            },
+            symmetry: {
+                axis: this.symmetry.axis,
+                blend: this.symmetry.blend,
+                fold: this.symmetry.axis === 'horizontal' ? foldPoint.y : foldPoint.x
+            },
+            radial: {
+                type: this.radial.type,
+                segments: this.radial.segments,
+                centerX: radialCenter.x,
+                centerY: radialCenter.y
+            }
+        };
+    },
+
+    /**
+     * Process the current buffer into ink (async, off the main thread when possible).
+     * Resolves with this.ink = { image, origin, zoom } once done.
+     */
+    _processInk: function() {
+        const params = this._getInkParams(this.buffer.width, this.buffer.height);
+        // Remember where the buffer's top-left sat so later draws can follow pans
+        const origin = this.map.containerPointToLatLng([0, 0]);
+        const zoom = this.map.getZoom();
+        const time = this.frame.time;
+
+        const job = inkProcessor.process(this.buffer, params).then(image => {
+            // The main-thread fallback reuses one canvas, so the trail needs its own copy
+            if (this.wetInk.length > 1 && !image.close) {
+                const copy = document.createElement('canvas');
+                copy.width = image.width;
+                copy.height = image.height;
+                copy.getContext('2d').drawImage(image, 0, 0);
+                image = copy;
             }
-        }
 
-        if (hasShape) {
-            // Convert segments to LatLngs
-            // For a Polyline, we ideally want a continuous path, but a "soup of segments"
-            // works if we use a MultiPolyline (array of arrays of latlngs).
-            // Leaflet handles [ [latlng, latlng], [latlng, latlng] ] fine.
+            const previous = this.ink;
+            this.ink = { image, origin, zoom, time };
+            // Keep the previous frame's ink for the wet trail, or free its ImageBitmap
+            if (previous && previous.image !== image) this._advanceTrail(previous, this.ink);
+            this.requestRender('ink');
+            return this.ink;
+        });
 
-            const latLngSegments = segments.map(seg => {
-                const p1 = this.map.containerPointToLatLng([seg[0], seg[1]]);
-                const p2 = this.map.containerPointToLatLng([seg[2], seg[3]]);
-                return [p1, p2];
-            });
+        this.inkJob = job;
+        const clear = () => {
+            if (this.inkJob === job) this.inkJob = null;
+        };
+        job.then(clear, clear);
+        return job;
+    },
+
+    // Pixel shift between the processed ink and the current view (null if stale after a zoom)
+    _inkOffset: function(ink = this.ink) {
+        if (!ink || ink.zoom !== this.map.getZoom()) return null;
+        return this.map.latLngToContainerPoint(ink.origin);
+    },
 
-            const cx = minX + (maxX - minX) / 2;
-            const cy = minY + (maxY - minY) / 2;
-            const centerLatLng = this.map.containerPointToLatLng([cx, cy]);
+    /**
+     * Extract outlines using Marching Squares (in the ink worker).
+     * Always processes the current buffer first so analysis sees exactly the blot on screen.
+     * Resolves with { rings, polygons, blobs, center } or null:
+     *   rings: [{ latLngs, hole, area (px²), parent }] closed contours (parent: index of a hole's outer ring)
+     *   polygons: [[outer, ...holes]] as LatLng arrays, ready for L.polygon
+     *   blobs: one { rings, polygons, center, area } per separate piece of ink,
+     *          shaped like the whole result so each can be analyzed on its own
+     */
+    getOutlines: async function(clippingBounds) {
+        // Wait for any in-flight frame or trace (re-checked: another one may have started meanwhile)
+        while (this.inkJob) await this.inkJob.catch(() => null);
+
+        // Process a fresh frame and trace it as one job: while inkJob is held no render
+        // re-processes the ink, so the worker still has this frame when 'outlines' arrives
+        const job = this._processInk().then(ink => this._traceOutlines(ink, clippingBounds));
+        this.inkJob = job;
+        const clear = () => {
+            if (this.inkJob !== job) return;
+            this.inkJob = null;
+            // A frame that arrived during the trace was held back; process it now
+            if (this._inkDirty) this.requestRender('ink');
+        };
+        job.then(clear, clear);
+        return job;
+    },
+
+    // Outlines of the given processed ink, converted to LatLngs (see getOutlines)
+    _traceOutlines: async function(ink, clippingBounds) {
+        // Clip is in current container pixels; outlines come back in the ink's pixels
+        const offset = this._inkOffset(ink) || { x: 0, y: 0 };
+        const clip = clippingBounds ? {
+            minX: clippingBounds.minX - offset.x,
+            minY: clippingBounds.minY - offset.y,
+            maxX: clippingBounds.maxX - offset.x,
+            maxY: clippingBounds.maxY - offset.y
+        } : null;
+
+        const found = await inkProcessor.outlines(clip, {
+            blur: this.inkStyle.outlineBlur,
+            contrast: this.inkStyle.outlineContrast,
+            threshold: this.inkStyle.outlineThreshold,
+            scale: this.inkStyle.outlineScale,
+            simplify: this.inkStyle.outlineSimplify
+        });
+        if (!found) return null;
+
+        // Convert rings to LatLngs
+        const toLatLng = (x, y) => this.map.containerPointToLatLng([x + offset.x, y + offset.y]);
+
+        const rings = found.rings.map(ring => ({
+            latLngs: ring.points.map(p => toLatLng(p[0], p[1])),
+            hole: ring.hole,
+            area: ring.area,
+            parent: ring.parent
+        }));
 
+        // One entry per connected blob, its holes grouped under the outer ring
+        const blobs = found.blobs.map(blob => {
+            const blobRings = [rings[blob.outer], ...blob.holes.map(h => rings[h])];
             return {
-                segments: latLngSegments,
-                center: centerLatLng
+                rings: blobRings,
+                polygons: [blobRings.map(ring => ring.latLngs)],
+                center: toLatLng(blob.centroid[0], blob.centroid[1]),
+                area: blob.area
             };
-        }
+        });
 
-        return null;
+        const cx = found.minX + (found.maxX - found.minX) / 2;
+        const cy = found.minY + (found.maxY - found.minY) / 2;
+
+        return {
+            rings,
+            polygons: blobs.map(blob => blob.polygons[0]),
+            blobs,
+            center: toLatLng(cx, cy)
+        };
     }
 });
 
 /**
  * Shape Analysis & Heuristics
  * Analyzes geometric properties of a blob to determine what it "looks like".
+ * This is the built-in "Classic" dictionary; more packs load from dictionaries/ (see DictionaryStore).
  */
 const RorschachDictionary = {
     // Categories based on shape traits
@@ -606,94 +1853,1210 @@ const RorschachDictionary = {
     ]
 };
 
-class ShapeAnalyzer {
-    static analyze(blob, viewBounds) {
-        if (!blob || !blob.segments || blob.segments.length === 0) return null;
+/**
+ * Interpretation Dictionaries
+ * A dictionary maps each shape category to a list of entries:
+ *
+ *   { "name": "Animals Only",
+ *     "categories": { "round": [{ "label": "TURTLE", "icon": "🐢", "hints": { "aspectRatio": [1, 1.5] } }], ... },
+ *     "adjectives": { "round": ["ROUND", ...] } }   // optional, defaults to ShapeAnalyzer.ADJECTIVES
+ *
+ * Categories are the ShapeAnalyzer ones; a dictionary may leave some out.
+ * hints: optional [min, max] ranges (either end may be null) on ShapeAnalyzer descriptors,
+ * see DICTIONARY_HINT_KEYS. Entries whose hints fit the blob are preferred within their category.
+ *
+ * "classic" is built in; the bundled packs are fetched from dictionaries/ and are read-only too.
+ * User dictionaries (edited or imported) live in localStorage.
+ */
+const BUNDLED_DICTIONARIES = {
+    animals: 'dictionaries/animals.json',
+    'sci-fi': 'dictionaries/sci-fi.json',
+    'kid-safe': 'dictionaries/kid-safe.json'
+};
+
+const DICTIONARY_CATEGORIES = ['round', 'elongated', 'spiky', 'tiny', 'huge', 'generic'];
+
+const DICTIONARY_HINT_KEYS = [
+    'aspectRatio', 'circularity', 'solidity', 'ruggedness', 'holes', 'lobes', 'symmetry',
+    'orientation', 'areaKm2', 'extentKm', 'normalizedMagnitude'
+];
+
+class DictionaryStore {
+    constructor(storageKey = 'rorschach-dictionaries') {
+        this.storageKey = storageKey;
+        this.builtIn = { classic: { name: 'Classic', categories: RorschachDictionary } };
+        this.user = this._load();
+        this.activeId = localStorage.getItem(`${storageKey}-active`) || 'classic';
+    }
+
+    // Fetch the bundled packs; a pack that fails to load or validate is skipped
+    async load() {
+        await Promise.all(Object.entries(BUNDLED_DICTIONARIES).map(async ([id, src]) => {
+            try {
+                const response = await fetch(src);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.builtIn[id] = DictionaryStore.validate(await response.json());
+            } catch (e) {
+                console.warn(`Dictionary "${id}" unavailable:`, e);
+            }
+        }));
+
+        // Keep the bundled packs in declaration order, after "classic"
+        const ordered = { classic: this.builtIn.classic };
+        for (const id of Object.keys(BUNDLED_DICTIONARIES)) {
+            if (this.builtIn[id]) ordered[id] = this.builtIn[id];
+        }
+        this.builtIn = ordered;
+    }
+
+    // Stored dictionaries go through validate() like imported ones; any that fail are dropped
+    _load() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.warn("Dictionaries unreadable, starting empty:", e);
+            return {};
+        }
+
+        const user = {};
+        for (const [id, data] of Object.entries(stored)) {
+            try {
+                const dictionary = DictionaryStore.validate(data);
+                if (this.isReserved(dictionary.name)) throw new Error(`"${dictionary.name}" is a built-in dictionary`);
+                if (dictionary.name !== '__proto__') user[dictionary.name] = dictionary;
+            } catch (e) {
+                console.warn(`Stored dictionary "${id}" dropped:`, e);
+            }
+        }
+        return user;
+    }
+
+    _persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.user));
+            localStorage.setItem(`${this.storageKey}-active`, this.activeId);
+        } catch (e) {
+            console.warn("Dictionaries not saved:", e);
+        }
+    }
+
+    isBuiltIn(id) {
+        return Object.prototype.hasOwnProperty.call(this.builtIn, id);
+    }
+
+    // Bundled ids are taken even before load() has fetched them (or if a pack failed to load)
+    isReserved(id) {
+        return this.isBuiltIn(id) || Object.prototype.hasOwnProperty.call(BUNDLED_DICTIONARIES, id);
+    }
+
+    isUser(id) {
+        return Object.prototype.hasOwnProperty.call(this.user, id);
+    }
+
+    // Built-ins first, then user dictionaries in the order they were saved
+    ids() {
+        return [...Object.keys(this.builtIn), ...Object.keys(this.user)];
+    }
+
+    get(id) {
+        if (this.isBuiltIn(id)) return this.builtIn[id];
+        return this.isUser(id) ? this.user[id] : null;
+    }
+
+    // Falls back to "classic" when the active one is gone (e.g. a pack that failed to load)
+    getActive() {
+        return this.get(this.activeId) || this.builtIn.classic;
+    }
+
+    setActive(id) {
+        if (!this.get(id)) return;
+        this.activeId = id;
+        this._persist();
+    }
+
+    // User dictionaries are keyed by their name
+    save(data) {
+        const dictionary = DictionaryStore.validate(data);
+        const builtInName = Object.values(this.builtIn).some(d => d.name === dictionary.name);
+        if (this.isReserved(dictionary.name) || builtInName) throw new Error(`"${dictionary.name}" is a built-in dictionary`);
+        // Assigning "__proto__" would replace the object's prototype instead of adding an entry
+        if (dictionary.name === '__proto__') throw new Error(`"${dictionary.name}" is not a usable name`);
+        this.user[dictionary.name] = dictionary;
+        this._persist();
+        return dictionary.name;
+    }
+
+    remove(id) {
+        if (!this.isUser(id)) throw new Error(`"${id}" is not a saved dictionary`);
+        delete this.user[id];
+        if (this.activeId === id) this.activeId = 'classic';
+        this._persist();
+    }
+
+    toJSON(id) {
+        return JSON.stringify(this.get(id), null, 2);
+    }
+
+    static hasLabel(dictionary, label) {
+        return Object.values(dictionary.categories).some(entries => entries.some(e => e.label === label));
+    }
+
+    /**
+     * Check a parsed dictionary and return a clean copy; throws with a readable message.
+     * Labels are upper-cased to match the rest of the UI.
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') throw new Error('Not a dictionary object');
+
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name) throw new Error('Missing "name"');
+        if (!data.categories || typeof data.categories !== 'object') throw new Error('Missing "categories"');
+
+        const range = (value, where) => {
+            const ok = Array.isArray(value) && value.length === 2 &&
+                value.every(v => v === null || Number.isFinite(v));
+            if (!ok) throw new Error(`${where}: expected [min, max] (null for open)`);
+            return [value[0], value[1]];
+        };
+
+        const categories = {};
+        for (const [category, entries] of Object.entries(data.categories)) {
+            if (!DICTIONARY_CATEGORIES.includes(category)) throw new Error(`Unknown category "${category}"`);
+            if (!Array.isArray(entries)) throw new Error(`"${category}" must be a list`);
+
+            categories[category] = entries.map((entry, i) => {
+                const where = `${category}[${i}]`;
+                if (!entry || typeof entry.label !== 'string' || !entry.label.trim()) throw new Error(`${where}: missing "label"`);
+
+                const clean = { label: entry.label.trim().toUpperCase(), icon: typeof entry.icon === 'string' ? entry.icon : '❓' };
+                if (entry.hints) {
+                    clean.hints = {};
+                    for (const [key, value] of Object.entries(entry.hints)) {
+                        if (!DICTIONARY_HINT_KEYS.includes(key)) throw new Error(`${where}: unknown hint "${key}"`);
+                        clean.hints[key] = range(value, `${where}.hints.${key}`);
+                    }
+                }
+                return clean;
+            });
+        }
+        if (!Object.values(categories).some(entries => entries.length > 0)) throw new Error('No entries');
+
+        const dictionary = { name, categories };
+        if (data.adjectives) {
+            dictionary.adjectives = {};
+            for (const [category, words] of Object.entries(data.adjectives)) {
+                if (!DICTIONARY_CATEGORIES.includes(category)) throw new Error(`Unknown adjective category "${category}"`);
+                if (!Array.isArray(words) || words.length === 0 || !words.every(w => typeof w === 'string')) {
+                    throw new Error(`adjectives.${category}: expected a list of words`);
+                }
+                dictionary.adjectives[category] = words.map(w => w.trim().toUpperCase());
+            }
+        }
+        return dictionary;
+    }
+}
+
+const dictionaries = new DictionaryStore();
+
+/**
+ * Seeded Random
+ * Small reproducible PRNG (mulberry32) for every random choice in an analysis,
+ * so a reading can be regenerated from its seed.
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // FNV-1a, for turning a description of the view into a seed
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Seeds are shown and typed as 8 hex digits
+    static format(seed) {
+        return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    static parse(text) {
+        const clean = (text || '').trim();
+        return /^[0-9a-f]{1,8}$/i.test(clean) ? parseInt(clean, 16) >>> 0 : null;
+    }
+}
+
+class ShapeAnalyzer {
+    /**
+     * Describe the blob from its closed rings and map it to a dictionary entry.
+     * The category comes from the descriptors alone; the entry and adjective within it
+     * are drawn from `random` (a SeededRandom), so the same seed gives the same reading.
+     * `why` lists the descriptor terms that won the category and the entry hints that fit.
+     * sizeMode: 'screen' or 'absolute' (see CONFIG.blobSize)
+     * dictionary: a DictionaryStore dictionary; categories it leaves out are skipped
+     */
+    static analyze(blob, viewBounds, random, sizeMode = CONFIG.blobSize.mode, dictionary = dictionaries.getActive()) {
+        if (!blob || !blob.rings || blob.rings.length === 0) return null;
+
+        // 1. Descriptors
+        const descriptors = ShapeAnalyzer.describe(blob, viewBounds);
+        if (!descriptors) return null;
+
+        // 2. Score every category; the highest one the dictionary has entries for wins
+        //    (ties go to the earlier category)
+        const scores = ShapeAnalyzer.score(descriptors, sizeMode)
+            .filter(s => (dictionary.categories[s.category] || []).length > 0);
+        if (scores.length === 0) return null;
+        const best = scores[0];
+        const category = best.category;
+
+        // 3. Pick the entry and adjective from the seeded generator, among the entries that fit best
+        const { hints, ...result } = random.pick(ShapeAnalyzer.fitHints(dictionary.categories[category], descriptors));
+        const adjectives = (dictionary.adjectives && dictionary.adjectives[category]) || ShapeAnalyzer.ADJECTIVES[category];
+        const adjective = random.pick(adjectives);
+
+        return {
+            ...result,
+            adjective: adjective,
+            metrics: { ...descriptors, category, sizeMode },
+            why: {
+                category,
+                score: best.score,
+                terms: best.terms.filter(t => t.points > 0).sort((a, b) => b.points - a.points),
+                runnerUp: scores[1] ? { category: scores[1].category, score: scores[1].score } : null,
+                hints: Object.entries(hints || {}).map(([key, range]) => ({ key, range, value: descriptors[key] })),
+                dictionary: dictionary.name
+            }
+        };
+    }
+
+    /**
+     * Narrow a category's entries by their hints: entries with hints that all fit come first,
+     * then entries without hints; if neither exists, every entry stays in play.
+     */
+    static fitHints(entries, descriptors) {
+        const fits = ([min, max], value) => (min === null || value >= min) && (max === null || value <= max);
+        const hinted = entries.filter(e => e.hints && Object.keys(e.hints).length > 0);
+
+        const fitted = hinted.filter(e => Object.entries(e.hints).every(([key, range]) => fits(range, descriptors[key])));
+        if (fitted.length > 0) return fitted;
+
+        const plain = entries.filter(e => !hinted.includes(e));
+        return plain.length > 0 ? plain : entries;
+    }
+
+    /**
+     * Shape descriptors, measured in Web Mercator (so shapes compare the way they look on screen):
+     *   area, perimeter, circularity (4πA/P², 1 = disc), solidity (area / convex hull area),
+     *   ruggedness (perimeter / hull perimeter), holes, lobes (protrusions on the radial profile),
+     *   symmetry (left-right, 0..1), orientation (long axis, degrees from east, 0-180),
+     *   aspectRatio (long / short principal axis).
+     * Size is measured on the globe (spherical approximation, see geodesic) so it doesn't depend on latitude:
+     *   areaKm2, perimeterKm, extentKm (longest chord), bearing (of that chord, degrees 0-180),
+     *   normalizedMagnitude (extent as a share of the view's diagonal)
+     */
+    static describe(blob, viewBounds) {
+        // 1. Project rings to a local plane (relative to the first point to keep the numbers small)
+        const origin = L.Projection.SphericalMercator.project(blob.rings[0].latLngs[0]);
+        const rings = blob.rings.map(ring => ({
+            hole: ring.hole,
+            points: ring.latLngs.map(p => {
+                const q = L.Projection.SphericalMercator.project(p);
+                return [q.x - origin.x, q.y - origin.y];
+            })
+        }));
+        const outers = rings.filter(r => !r.hole);
+        if (outers.length === 0) return null;
+
+        // 2. Area moments (holes subtract)
+        const m = { a: 0, sx: 0, sy: 0, sxx: 0, syy: 0, sxy: 0 };
+        for (const ring of rings) {
+            const rm = ShapeAnalyzer._moments(ring.points);
+            // Normalize winding, then give holes a negative weight
+            const sign = Math.sign(rm.a) * (ring.hole ? -1 : 1);
+            for (const k in m) m[k] += rm[k] * sign;
+        }
+        if (m.a <= 0) return null;
+
+        const area = m.a;
+        const cx = m.sx / area;
+        const cy = m.sy / area;
+        const mxx = m.sxx / area - cx * cx;
+        const myy = m.syy / area - cy * cy;
+        const mxy = m.sxy / area - cx * cy;
+
+        // Principal axes: long / short, and the long axis angle
+        const half = (mxx + myy) / 2;
+        const spread = Math.sqrt(((mxx - myy) / 2) ** 2 + mxy * mxy);
+        const aspectRatio = Math.sqrt((half + spread) / Math.max(half - spread, 1e-9));
+        const orientation = ((Math.atan2(2 * mxy, mxx - myy) / 2) * 180 / Math.PI + 180) % 180;
+
+        // 3. Outline measures
+        const perimeter = outers.reduce((sum, r) => sum + ShapeAnalyzer._perimeter(r.points), 0);
+        const hull = ShapeAnalyzer._convexHull(outers.flatMap(r => r.points));
+        const hullArea = Math.abs(ShapeAnalyzer._moments(hull).a);
+        const hullPerimeter = ShapeAnalyzer._perimeter(hull);
+
+        const circularity = Math.min(1, 4 * Math.PI * area / (perimeter * perimeter));
+        const solidity = hullArea > 0 ? Math.min(1, area / hullArea) : 1;
+        const ruggedness = hullPerimeter > 0 ? perimeter / hullPerimeter : 1;
+
+        // 4. Radial profile around the centroid: lobes and left-right symmetry
+        const profile = ShapeAnalyzer._radialProfile(outers, cx, cy, 72);
+        const lobes = ShapeAnalyzer._countLobes(profile);
+        const symmetry = ShapeAnalyzer._mirrorScore(profile);
+
+        // 5. True size, and size against the view
+        const size = ShapeAnalyzer.geodesic(blob);
+
+        let normalizedMagnitude = 0.5; // Default if no bounds
+        if (viewBounds) {
+            const viewDiagonalKm = L.CRS.Earth.distance(viewBounds.getNorthWest(), viewBounds.getSouthEast()) / 1000;
+            normalizedMagnitude = size.extentKm / viewDiagonalKm;
+        }
+
+        return {
+            area, perimeter, circularity, solidity, ruggedness,
+            holes: rings.length - outers.length,
+            lobes, symmetry, orientation, aspectRatio,
+            ...size,
+            normalizedMagnitude
+        };
+    }
+
+    /**
+     * Geodesic size on a sphere of Earth's mean radius:
+     *   areaKm2 (spherical excess; holes subtract), perimeterKm (great-circle length of the outer rings),
+     *   extentKm (longest great-circle distance between two hull points) and bearing
+     *   (initial bearing along that chord, folded to 0-180 since an axis has no direction)
+     */
+    static geodesic(blob) {
+        const R = L.CRS.Earth.R;
+        const rad = Math.PI / 180;
+
+        let area = 0;
+        let perimeter = 0;
+        for (const ring of blob.rings) {
+            const pts = ring.latLngs;
+            let ringArea = 0;
+            for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+                ringArea += (pts[i].lng - pts[j].lng) * rad *
+                    (2 + Math.sin(pts[j].lat * rad) + Math.sin(pts[i].lat * rad));
+                if (!ring.hole) perimeter += L.CRS.Earth.distance(pts[j], pts[i]);
+            }
+            ringArea = Math.abs(ringArea * R * R / 2);
+            area += ring.hole ? -ringArea : ringArea;
+        }
+
+        // Longest chord: only hull vertices can be its ends (hull taken in Web Mercator)
+        const outerPoints = blob.rings.filter(r => !r.hole).flatMap(r => r.latLngs);
+        const projected = outerPoints.map(p => {
+            const q = L.Projection.SphericalMercator.project(p);
+            return [q.x, q.y, p];
+        });
+        const hull = ShapeAnalyzer._convexHull(projected).map(q => q[2]);
+
+        let extent = 0;
+        let ends = null;
+        for (let i = 0; i < hull.length; i++) {
+            for (let j = i + 1; j < hull.length; j++) {
+                const d = L.CRS.Earth.distance(hull[i], hull[j]);
+                if (d > extent) {
+                    extent = d;
+                    ends = [hull[i], hull[j]];
+                }
+            }
+        }
+
+        let bearing = 0;
+        if (ends) {
+            const [a, b] = ends;
+            const dLng = (b.lng - a.lng) * rad;
+            const y = Math.sin(dLng) * Math.cos(b.lat * rad);
+            const x = Math.cos(a.lat * rad) * Math.sin(b.lat * rad) -
+                Math.sin(a.lat * rad) * Math.cos(b.lat * rad) * Math.cos(dLng);
+            bearing = ((Math.atan2(y, x) / rad) + 360) % 180;
+        }
+
+        return {
+            areaKm2: Math.max(0, area) / 1e6,
+            perimeterKm: perimeter / 1000,
+            extentKm: extent / 1000,
+            bearing
+        };
+    }
+
+    /**
+     * Scoring model: each category adds up weighted terms, each term a 0..1 ramp on one descriptor.
+     * Returns [{ category, score, terms: [{ label, value, points }] }] sorted best first.
+     */
+    static score(d, sizeMode = CONFIG.blobSize.mode) {
+        // 0 at `from`, 1 at `to` (works in either direction)
+        const ramp = (value, from, to) => Math.max(0, Math.min(1, (value - from) / (to - from)));
+        const term = (label, value, points) => ({ label, value, points: Math.round(points * 100) / 100 });
+
+        // Size class: ramps run from 1.5x to 0.5x the tiny threshold and 0.75x to 1.25x the huge one
+        const absolute = sizeMode === 'absolute';
+        const limits = absolute ? CONFIG.blobSize.absolute : CONFIG.blobSize.screen;
+        const size = absolute ? d.extentKm : d.normalizedMagnitude;
+        const sizeLabel = absolute ? 'EXTENT_KM' : 'VIEW_SHARE';
+
+        // Size outweighs any single shape trait (the shape models top out around 4 points)
+        const models = {
+            round: [
+                term('CIRCULARITY', d.circularity, 2 * ramp(d.circularity, 0.5, 0.85)),
+                term('SOLIDITY', d.solidity, ramp(d.solidity, 0.85, 0.97)),
+                term('ASPECT', d.aspectRatio, ramp(d.aspectRatio, 1.6, 1.1))
+            ],
+            elongated: [
+                term('ASPECT', d.aspectRatio, 2 * ramp(d.aspectRatio, 1.8, 3.5)),
+                term('CIRCULARITY', d.circularity, 0.5 * ramp(d.circularity, 0.5, 0.2))
+            ],
+            spiky: [
+                term('SOLIDITY', d.solidity, 1.5 * ramp(d.solidity, 0.85, 0.55)),
+                term('LOBES', d.lobes, 1.5 * ramp(d.lobes, 2, 6)),
+                term('RUGGEDNESS', d.ruggedness, ramp(d.ruggedness, 1.2, 1.8))
+            ],
+            tiny: [
+                term(sizeLabel, size, 4.5 * ramp(size, limits.tiny * 1.5, limits.tiny * 0.5))
+            ],
+            huge: [
+                term(sizeLabel, size, 4.5 * ramp(size, limits.huge * 0.75, limits.huge * 1.25))
+            ],
+            generic: [
+                term('BASELINE', 1, 1),
+                term('SYMMETRY', d.symmetry, ramp(d.symmetry, 0.7, 0.95)),
+                term('HOLES', d.holes, ramp(d.holes, 0, 3))
+            ]
+        };
+
+        return Object.entries(models)
+            .map(([category, terms]) => ({
+                category,
+                terms,
+                score: Math.round(terms.reduce((sum, t) => sum + t.points, 0) * 100) / 100
+            }))
+            .sort((a, b) => b.score - a.score); // Stable: ties keep the order above
+    }
+
+    // Signed area integrals of a closed ring: a, ∫x, ∫y, ∫x², ∫y², ∫xy
+    static _moments(points) {
+        const m = { a: 0, sx: 0, sy: 0, sxx: 0, syy: 0, sxy: 0 };
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [x0, y0] = points[j];
+            const [x1, y1] = points[i];
+            const cross = x0 * y1 - x1 * y0;
+            m.a += cross / 2;
+            m.sx += (x0 + x1) * cross / 6;
+            m.sy += (y0 + y1) * cross / 6;
+            m.sxx += (x0 * x0 + x0 * x1 + x1 * x1) * cross / 12;
+            m.syy += (y0 * y0 + y0 * y1 + y1 * y1) * cross / 12;
+            m.sxy += (x0 * y1 + 2 * x0 * y0 + 2 * x1 * y1 + x1 * y0) * cross / 24;
+        }
+        return m;
+    }
+
+    static _perimeter(points) {
+        let length = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            length += Math.hypot(points[i][0] - points[j][0], points[i][1] - points[j][1]);
+        }
+        return length;
+    }
+
+    // Monotone chain
+    static _convexHull(points) {
+        const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const lower = [];
+        for (const p of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+            lower.push(p);
+        }
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+            upper.push(p);
+        }
+        return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+    }
+
+    // Farthest outline crossing along `bins` rays from the centroid (0 where a ray misses)
+    static _radialProfile(outers, cx, cy, bins) {
+        const profile = new Array(bins).fill(0);
+
+        for (let k = 0; k < bins; k++) {
+            const angle = (k / bins) * 2 * Math.PI;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+
+            for (const ring of outers) {
+                const pts = ring.points;
+                for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+                    // Ray (cx, cy) + t * (dx, dy) against segment pts[j] -> pts[i]
+                    const ex = pts[i][0] - pts[j][0];
+                    const ey = pts[i][1] - pts[j][1];
+                    const denom = dx * ey - dy * ex;
+                    if (denom === 0) continue;
+                    const wx = pts[j][0] - cx;
+                    const wy = pts[j][1] - cy;
+                    const t = (wx * ey - wy * ex) / denom;
+                    const u = (wx * dy - wy * dx) / denom;
+                    if (t > 0 && u >= 0 && u <= 1) profile[k] = Math.max(profile[k], t);
+                }
+            }
+        }
+        return profile;
+    }
+
+    // Peaks of the (lightly smoothed) profile that stand out by 15% of the mean radius
+    static _countLobes(profile) {
+        const n = profile.length;
+        const smooth = profile.map((_, i) => (profile[(i + n - 1) % n] + profile[i] + profile[(i + 1) % n]) / 3);
+        const mean = smooth.reduce((a, b) => a + b, 0) / n;
+        if (mean === 0) return 0;
+
+        const window = Math.round(n / 8);
+        let lobes = 0;
+        for (let i = 0; i < n; i++) {
+            const prev = smooth[(i + n - 1) % n];
+            const next = smooth[(i + 1) % n];
+            if (!(smooth[i] > prev && smooth[i] >= next)) continue;
+
+            let valley = smooth[i];
+            for (let k = -window; k <= window; k++) {
+                valley = Math.min(valley, smooth[(i + k + n) % n]);
+            }
+            if (smooth[i] - valley > 0.15 * mean) lobes++;
+        }
+        return lobes;
+    }
+
+    // Left-right mirror match of the profile about the vertical axis (1 = perfect)
+    static _mirrorScore(profile) {
+        const n = profile.length;
+        let diff = 0;
+        let total = 0;
+        for (let k = 0; k < n; k++) {
+            // Angle θ mirrors to 180° - θ
+            const mirrored = profile[(n / 2 - k + n) % n];
+            diff += Math.abs(profile[k] - mirrored);
+            total += profile[k] + mirrored;
+        }
+        return total > 0 ? 1 - diff / total : 0;
+    }
+}
+
+ShapeAnalyzer.ADJECTIVES = {
+    round: ['ROUND', 'SMOOTH', 'SOFT', 'CURVED'],
+    elongated: ['LONG', 'STRETCHED', 'TALL', 'THIN'],
+    spiky: ['JAGGED', 'TWISTED', 'SHARP', 'SPIKY'],
+    tiny: ['TINY', 'LITTLE', 'SMALL', 'MICRO'],
+    huge: ['GIANT', 'MASSIVE', 'COLOSSAL', 'MEGA'],
+    generic: ['STRANGE', 'HAZY', 'MIRRORED', 'SILENT']
+};
+
+/**
+ * Sketch Library
+ * Reference drawings for silhouette matching: chalk outlines on black,
+ * filled into silhouettes when they are loaded.
+ */
+const SKETCH_LIBRARY = [
+    { id: 'rabbit', label: 'RABBIT', icon: '🐇', src: 'assets/sketch_rabbit_1764629305200.png' },
+    { id: 'skull', label: 'SKULL', icon: '💀', src: 'assets/sketch_skull_1764629317540.png' },
+    { id: 'butterfly', label: 'BUTTERFLY', icon: '🦋', src: 'assets/sketch_butterfly_1764629328418.png' }
+];
+
+/**
+ * Sketch Matcher
+ * Compares a blob's silhouette with the library. Both are normalized for position and
+ * scale (centroid / RMS radius), then each template is tried at every rotation step,
+ * plain and mirrored, and scored by IoU on a square grid.
+ */
+class SketchMatcher {
+    constructor(library, options = {}) {
+        this.library = library;
+        this.maskSize = options.maskSize || 128; // Silhouettes are extracted at this resolution
+        this.gridSize = options.gridSize || 64;  // Comparison grid
+        this.extent = options.extent || 2.5;     // Grid half-width, in RMS radii
+        this.rotations = options.rotations || 24;
+        this.templates = null; // Promise of the loaded templates
+    }
+
+    // Load and extract every template once; sketches that fail to load are skipped
+    load() {
+        if (!this.templates) {
+            this.templates = Promise.all(this.library.map(entry =>
+                this._loadTemplate(entry).catch(e => {
+                    console.warn(`Sketch "${entry.id}" unavailable:`, e);
+                    return null;
+                })
+            )).then(list => list.filter(Boolean));
+        }
+        return this.templates;
+    }
+
+    async _loadTemplate(entry) {
+        const image = new Image();
+        image.src = entry.src;
+        await image.decode();
+
+        const width = this.maskSize;
+        const height = Math.max(1, Math.round(this.maskSize * image.naturalHeight / image.naturalWidth));
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, width, height);
+
+        // Throws on a tainted canvas (e.g. opened from file://), which skips the sketch
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const mask = SketchMatcher.silhouette(data, width, height);
+        const frame = SketchMatcher.frame(mask, width, height);
+        if (!frame) throw new Error("Empty silhouette");
+
+        return { ...entry, image, mask, width, height, frame, scale: image.naturalWidth / width };
+    }
+
+    /**
+     * Best matches for a blob, best first:
+     * [{ id, label, icon, score (IoU 0..1), rotation (radians), mirrored, template, blobFrame }]
+     * blobFrame is the blob's centroid / RMS radius in container pixels, for createOverlay.
+     */
+    async match(blob, map) {
+        const templates = await this.load();
+        if (templates.length === 0 || !blob.polygons || blob.polygons.length === 0) return [];
+
+        // 1. Blob silhouette, normalized the same way as the templates
+        const shape = SketchMatcher.rasterize(blob.polygons, map, this.maskSize);
+        if (!shape) return [];
+        const frame = SketchMatcher.frame(shape.mask, shape.width, shape.height);
+        if (!frame) return [];
+        const target = this._sample(shape.mask, shape.width, frame, 0, false);
+
+        // 2. Every template at every rotation, plain and mirrored
+        const matches = templates.map(template => {
+            let best = { score: -1, rotation: 0, mirrored: false };
+            for (const mirrored of [false, true]) {
+                for (let r = 0; r < this.rotations; r++) {
+                    const rotation = (r / this.rotations) * 2 * Math.PI;
+                    const grid = this._sample(template.mask, template.width, template.frame, rotation, mirrored);
+                    const score = SketchMatcher.iou(target, grid);
+                    if (score > best.score) best = { score, rotation, mirrored };
+                }
+            }
+            return {
+                id: template.id,
+                label: template.label,
+                icon: template.icon,
+                ...best,
+                template,
+                blobFrame: {
+                    cx: shape.minX + frame.cx / shape.k,
+                    cy: shape.minY + frame.cy / shape.k,
+                    rms: frame.rms / shape.k
+                }
+            };
+        });
+
+        return matches.sort((a, b) => b.score - a.score);
+    }
 
-        // 1. Calculate Metrics
-        let minLat = 90, maxLat = -90, minLng = 180, maxLng = -180;
-        let perimeter = 0;
+    /**
+     * Resample a mask onto the normalized grid. Grid cell (u, v) is in RMS radii around the
+     * centroid; the mask is read through the inverse of the rotation (and mirror).
+     */
+    _sample(mask, width, frame, rotation, mirrored) {
+        const n = this.gridSize;
+        const grid = new Uint8Array(n * n);
+        const height = mask.length / width;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        for (let j = 0; j < n; j++) {
+            const v = ((j + 0.5) / n * 2 - 1) * this.extent;
+            for (let i = 0; i < n; i++) {
+                const u = ((i + 0.5) / n * 2 - 1) * this.extent;
+                let tu = cos * u + sin * v;
+                const tv = -sin * u + cos * v;
+                if (mirrored) tu = -tu;
+
+                const x = Math.round(frame.cx + tu * frame.rms);
+                const y = Math.round(frame.cy + tv * frame.rms);
+                if (x >= 0 && y >= 0 && x < width && y < height) grid[j * n + i] = mask[y * width + x];
+            }
+        }
+        return grid;
+    }
+
+    /**
+     * The template image placed on the map where it matched: scaled, rotated and mirrored
+     * onto the blob. Chalk lines become white on transparent so the radar shows through.
+     */
+    createOverlay(match, map) {
+        const { template, blobFrame, rotation, mirrored } = match;
+
+        // Image pixels -> container pixels: p = A * img + t
+        const s = blobFrame.rms / (template.frame.rms * template.scale);
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const m = mirrored ? -1 : 1;
+        const a = s * cos * m, b = s * sin * m, c = -s * sin, d = s * cos;
+        const ox = template.frame.cx * template.scale;
+        const oy = template.frame.cy * template.scale;
+        const e = blobFrame.cx - (a * ox + c * oy);
+        const f = blobFrame.cy - (b * ox + d * oy);
+
+        // Screen-space bounding box of the transformed image
+        const w = template.image.naturalWidth, h = template.image.naturalHeight;
+        const corners = [[0, 0], [w, 0], [w, h], [0, h]].map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]);
+        const minX = Math.min(...corners.map(p => p[0])), maxX = Math.max(...corners.map(p => p[0]));
+        const minY = Math.min(...corners.map(p => p[1])), maxY = Math.max(...corners.map(p => p[1]));
+
+        // Keep the generated image small
+        const q = Math.min(1, 600 / Math.max(maxX - minX, maxY - minY));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil((maxX - minX) * q));
+        canvas.height = Math.max(1, Math.ceil((maxY - minY) * q));
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(a * q, b * q, c * q, d * q, (e - minX) * q, (f - minY) * q);
+        ctx.drawImage(template.image, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        // Brightness -> alpha
+        const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const px = img.data;
+        for (let i = 0; i < px.length; i += 4) {
+            const lum = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+            px[i] = px[i + 1] = px[i + 2] = 255;
+            px[i + 3] = px[i + 3] === 0 ? 0 : lum;
+        }
+        ctx.putImageData(img, 0, 0);
+
+        const bounds = L.latLngBounds(
+            map.containerPointToLatLng([minX, minY]),
+            map.containerPointToLatLng([maxX, maxY])
+        );
+        return L.imageOverlay(canvas.toDataURL('image/png'), bounds, {
+            opacity: 0.85,
+            interactive: false,
+            className: 'sketch-overlay'
+        });
+    }
 
-        blob.segments.forEach(seg => {
-            // seg is [LatLng, LatLng]
-            const p1 = seg[0];
-            const p2 = seg[1];
+    /**
+     * Chalk outline (bright strokes on dark) -> filled silhouette.
+     * Strokes are thickened to close small gaps, then the background is flooded in from
+     * the border; anything the flood can't reach is inside the drawing.
+     */
+    static silhouette(data, width, height) {
+        const size = width * height;
+
+        // 1. Bright pixels are strokes
+        let stroke = new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            const lum = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            stroke[i] = lum > 100 ? 1 : 0;
+        }
 
-            minLat = Math.min(minLat, p1.lat, p2.lat);
-            maxLat = Math.max(maxLat, p1.lat, p2.lat);
-            minLng = Math.min(minLng, p1.lng, p2.lng);
-            maxLng = Math.max(maxLng, p1.lng, p2.lng);
+        // 2. Dilate (2px square, separable)
+        const radius = 2;
+        for (const horizontal of [true, false]) {
+            const out = new Uint8Array(size);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let on = 0;
+                    for (let k = -radius; k <= radius && !on; k++) {
+                        const sx = horizontal ? x + k : x;
+                        const sy = horizontal ? y : y + k;
+                        if (sx >= 0 && sy >= 0 && sx < width && sy < height) on = stroke[sy * width + sx];
+                    }
+                    out[y * width + x] = on;
+                }
+            }
+            stroke = out;
+        }
 
-            // Rough Euclidean distance for perimeter (ignoring projection distortion for simplicity)
-            const dLat = p2.lat - p1.lat;
-            const dLng = p2.lng - p1.lng;
-            perimeter += Math.sqrt(dLat*dLat + dLng*dLng);
-        });
+        // 3. Flood the background from the border
+        const outside = new Uint8Array(size);
+        const stack = [];
+        const push = (x, y) => {
+            const i = y * width + x;
+            if (!stroke[i] && !outside[i]) {
+                outside[i] = 1;
+                stack.push(i);
+            }
+        };
+        for (let x = 0; x < width; x++) {
+            push(x, 0);
+            push(x, height - 1);
+        }
+        for (let y = 0; y < height; y++) {
+            push(0, y);
+            push(width - 1, y);
+        }
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width, y = (i - x) / width;
+            if (x > 0) push(x - 1, y);
+            if (x < width - 1) push(x + 1, y);
+            if (y > 0) push(x, y - 1);
+            if (y < height - 1) push(x, y + 1);
+        }
 
-        const latSpan = maxLat - minLat;
-        const lngSpan = maxLng - minLng;
-        const boxPerimeter = 2 * (latSpan + lngSpan);
+        const mask = new Uint8Array(size);
+        for (let i = 0; i < size; i++) mask[i] = outside[i] ? 0 : 1;
+        return mask;
+    }
 
-        // Metrics
-        const aspectRatio = Math.max(latSpan, lngSpan) / Math.min(latSpan, lngSpan);
-        const magnitude = Math.sqrt(latSpan*latSpan + lngSpan*lngSpan);
+    // Centroid and RMS radius of a mask (null if empty)
+    static frame(mask, width, height) {
+        let count = 0, sx = 0, sy = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!mask[y * width + x]) continue;
+                count++;
+                sx += x;
+                sy += y;
+            }
+        }
+        if (count === 0) return null;
 
-        // Ruggedness: Ratio of actual path length to bounding box perimeter
-        const ruggedness = perimeter / boxPerimeter;
+        const cx = sx / count, cy = sy / count;
+        let spread = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (mask[y * width + x]) spread += (x - cx) ** 2 + (y - cy) ** 2;
+            }
+        }
+        return { cx, cy, rms: Math.max(1, Math.sqrt(spread / count)) };
+    }
 
-        // Normalize Magnitude against View Bounds
-        let normalizedMagnitude = 0.5; // Default if no bounds
-        if (viewBounds) {
-            const viewLatSpan = viewBounds.getNorth() - viewBounds.getSouth();
-            const viewLngSpan = viewBounds.getEast() - viewBounds.getWest();
-            const viewDiagonal = Math.sqrt(viewLatSpan*viewLatSpan + viewLngSpan*viewLngSpan);
-            normalizedMagnitude = magnitude / viewDiagonal;
-        }
-
-        let category = 'generic';
-        let adjective = '';
-
-        // Adjective Logic (Scaled)
-        // Tiny: < 10% of screen diagonal
-        // Huge: > 60% of screen diagonal
-        // Adjective Logic (Scaled)
-        // Tiny: < 10% of screen diagonal
-        // Huge: > 60% of screen diagonal
-        if (normalizedMagnitude < 0.1) {
-            category = 'tiny';
-            adjective = ['TINY', 'LITTLE', 'SMALL', 'MICRO'][Math.floor(Math.random()*4)];
-        } else if (normalizedMagnitude > 0.6) {
-            category = 'huge';
-            adjective = ['GIANT', 'MASSIVE', 'COLOSSAL', 'MEGA'][Math.floor(Math.random()*4)];
-        } else if (aspectRatio > 2.5) {
-            category = 'elongated';
-            adjective = ['LONG', 'STRETCHED', 'TALL', 'THIN'][Math.floor(Math.random()*4)];
-        } else if (ruggedness > 1.5) {
-            category = 'spiky';
-            adjective = ['JAGGED', 'TWISTED', 'SHARP', 'SPIKY'][Math.floor(Math.random()*4)];
-        } else {
-            // Default to round or generic
-            category = Math.random() > 0.5 ? 'round' : 'generic';
-            adjective = ['ROUND', 'SMOOTH', 'SOFT', 'CURVED'][Math.floor(Math.random()*4)];
+    /**
+     * Fill LatLng polygons ([[outer, ...holes]]) into a mask at most `maxSize` px on its long side.
+     * Returns { mask, width, height, minX, minY, k (mask px per container px) } or null.
+     */
+    static rasterize(polygons, map, maxSize) {
+        const rings = polygons.flat().map(ring => ring.map(p => map.latLngToContainerPoint(p)));
+        const all = rings.flat();
+        const minX = Math.min(...all.map(p => p.x)), maxX = Math.max(...all.map(p => p.x));
+        const minY = Math.min(...all.map(p => p.y)), maxY = Math.max(...all.map(p => p.y));
+        if (maxX - minX < 1 || maxY - minY < 1) return null;
+
+        const k = maxSize / Math.max(maxX - minX, maxY - minY);
+        const width = Math.max(1, Math.ceil((maxX - minX) * k));
+        const height = Math.max(1, Math.ceil((maxY - minY) * k));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        for (const ring of rings) {
+            ring.forEach((p, i) => {
+                const x = (p.x - minX) * k, y = (p.y - minY) * k;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
         }
+        ctx.fill('evenodd'); // Holes stay empty
+
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const mask = new Uint8Array(width * height);
+        for (let i = 0; i < mask.length; i++) mask[i] = data[i * 4 + 3] > 127 ? 1 : 0;
+        return { mask, width, height, minX, minY, k };
+    }
 
-        // Chaos Factor: 15% chance to pick a completely random category for variety
-        if (Math.random() < 0.15) {
-            const keys = Object.keys(RorschachDictionary);
-            category = keys[Math.floor(Math.random() * keys.length)];
-            // Keep the adjective as is, or maybe randomize it too? Let's keep it based on shape for some grounding.
+    static iou(a, b) {
+        let inter = 0, union = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] && b[i]) inter++;
+            if (a[i] || b[i]) union++;
         }
+        return union > 0 ? inter / union : 0;
+    }
+}
 
-        // Select random item from category
-        const options = RorschachDictionary[category];
-        const result = options[Math.floor(Math.random() * options.length)];
+// IoU at which a sketch match replaces the dictionary reading
+SketchMatcher.CONFIDENT_MATCH = 0.55;
 
-        return {
-            ...result,
-            adjective: adjective,
-            metrics: { magnitude, normalizedMagnitude, aspectRatio, ruggedness, category }
-        };
+const sketchMatcher = new SketchMatcher(SKETCH_LIBRARY);
+
+/**
+ * Vision Providers
+ * Backends for CLOUD_VISION. A provider turns a captured image and a prompt into text:
+ *   describe({ image, mimeType, prompt, json, signal }) -> Promise<string>   (image is base64, no data: prefix)
+ *   json: ask the backend for a JSON reply where it has a switch for it (the prompt asks anyway)
+ *   signal: AbortSignal; aborting rejects the promise
+ *   name, model -> shown in the interface
+ *   fields -> which settings it takes ('endpoint', 'model', 'key')
+ *   needsKey -> true if describe() is pointless without an API key
+ */
+// setTimeout as a promise; it settles early if `signal` aborts
+const waitFor = (ms, signal) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    }
+});
+
+const postVisionRequest = async (url, body, headers = {}, signal) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    // Gemini and OpenAI send { error: { message } }, Ollama sends { error: "..." }
+    if (data.error) {
+        throw new Error(typeof data.error === 'string' ? data.error : (data.error.message || "API Error"));
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return data;
+};
+
+class GeminiVisionProvider {
+    constructor(options = {}) {
+        this.id = 'gemini';
+        this.name = 'Gemini';
+        this.endpoint = (options.endpoint || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/$/, '');
+        this.model = options.model || 'gemini-flash-latest';
+        this.apiKey = options.apiKey || '';
+        this.fields = ['endpoint', 'model', 'key'];
+        this.needsKey = true;
     }
+
+    async describe({ image, mimeType, prompt, json, signal }) {
+        const data = await postVisionRequest(`${this.endpoint}/models/${this.model}:generateContent?key=${this.apiKey}`, {
+            contents: [{
+                parts: [
+                    { text: prompt },
+                    { inline_data: { mime_type: mimeType, data: image } }
+                ]
+            }],
+            generationConfig: json ? { responseMimeType: 'application/json' } : undefined
+        }, {}, signal);
+
+        if (!data.candidates || !data.candidates[0].content) {
+            throw new Error("Vision API returned no content");
+        }
+        return data.candidates[0].content.parts[0].text;
+    }
+}
+
+/**
+ * Any /chat/completions endpoint that takes image_url parts: OpenAI itself,
+ * or a compatible server (llama.cpp's llama-server, vLLM, LM Studio...).
+ * The key is sent as a Bearer token when given; local servers usually need none.
+ */
+class OpenAICompatibleVisionProvider {
+    constructor(options = {}) {
+        this.id = 'openai';
+        this.name = 'OpenAI-compatible';
+        this.endpoint = (options.endpoint || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.model = options.model || 'gpt-4o-mini';
+        this.apiKey = options.apiKey || '';
+        this.fields = ['endpoint', 'model', 'key'];
+        this.needsKey = false;
+    }
+
+    // `json` is left to the prompt: compatible servers disagree on which response_format types they accept
+    async describe({ image, mimeType, prompt, signal }) {
+        const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+        const data = await postVisionRequest(`${this.endpoint}/chat/completions`, {
+            model: this.model,
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: prompt },
+                    { type: 'image_url', image_url: { url: `data:${mimeType};base64,${image}` } }
+                ]
+            }]
+        }, headers, signal);
+
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new Error("Vision API returned no content");
+        }
+        return data.choices[0].message.content;
+    }
+}
+
+/**
+ * A vision model on this machine, through Ollama's /api/chat
+ * (e.g. `ollama pull llava`). Nothing leaves the computer and no key is needed.
+ */
+class LocalVisionProvider {
+    constructor(options = {}) {
+        this.id = 'local';
+        this.name = 'Ollama';
+        this.endpoint = (options.endpoint || 'http://localhost:11434').replace(/\/$/, '');
+        this.model = options.model || 'llava';
+        this.fields = ['endpoint', 'model'];
+        this.needsKey = false;
+    }
+
+    async describe({ image, prompt, json, signal }) {
+        const data = await postVisionRequest(`${this.endpoint}/api/chat`, {
+            model: this.model,
+            stream: false,
+            format: json ? 'json' : undefined,
+            messages: [{ role: 'user', content: prompt, images: [image] }]
+        }, {}, signal);
+
+        if (!data.message || typeof data.message.content !== 'string') {
+            throw new Error("Vision API returned no content");
+        }
+        return data.message.content;
+    }
+}
+
+/**
+ * No network: answers after a short delay, picked from the image and prompt
+ * so the same capture always gets the same answer. For tests and demos.
+ */
+class MockVisionProvider {
+    constructor(options = {}) {
+        this.id = 'mock';
+        this.name = 'Mock';
+        this.model = 'mock';
+        this.answers = options.answers || [
+            { label: 'Dragon', emoji: '🐉' },
+            { label: 'Spaceship', emoji: '🚀' },
+            { label: 'Octopus', emoji: '🐙' },
+            { label: 'Teapot', emoji: '🫖' },
+            { label: 'Moth', emoji: '🦋' },
+            { label: 'Lantern', emoji: '🏮' }
+        ];
+        this.delay = options.delay !== undefined ? Number(options.delay) : 600;
+        this.fields = [];
+        this.needsKey = false;
+    }
+
+    async describe({ image, prompt, json, signal }) {
+        await waitFor(this.delay, signal);
+        if (signal && signal.aborted) throw new DOMException("Mock vision request aborted", 'AbortError');
+        const random = new SeededRandom(SeededRandom.hash(prompt + image));
+        if (!json) return random.pick(this.answers).label;
+
+        // Three different answers with falling confidence, each on a random part of the image
+        const pool = [...this.answers];
+        const answers = [];
+        for (let i = 0; i < 3 && pool.length > 0; i++) {
+            const { label, emoji } = pool.splice(Math.floor(random.next() * pool.length), 1)[0];
+            const w = 0.3 + random.next() * 0.5;
+            const h = 0.3 + random.next() * 0.5;
+            answers.push({
+                label,
+                emoji,
+                confidence: Number((0.9 - i * 0.25).toFixed(2)),
+                description: `Mock reading #${i + 1}`,
+                region: { x: random.next() * (1 - w), y: random.next() * (1 - h), w, h }
+            });
+        }
+        return JSON.stringify({ answers });
+    }
+}
+
+const VisionProviders = {
+    gemini: GeminiVisionProvider,
+    openai: OpenAICompatibleVisionProvider,
+    local: LocalVisionProvider,
+    mock: MockVisionProvider
+};
+
+function createVisionProvider(options = {}) {
+    const Provider = VisionProviders[options.type];
+    if (!Provider) throw new Error(`Unknown vision provider: ${options.type}`);
+    return new Provider(options);
+}
+
+/**
+ * Ranked answers from a vision reply, best first:
+ *   [{ label, confidence, description, icon, region: { x, y, w, h } }]
+ * confidence is 0-1 (null if not given), region is a share of the image from its top-left corner (or null).
+ * The JSON may come wrapped in a code fence or chatter; a reply that is not JSON at all
+ * (a model ignoring the format and naming one thing) becomes a single answer.
+ */
+function parseVisionAnswers(text, limit = CONFIG.vision.answers) {
+    const clamp01 = v => Math.min(1, Math.max(0, v));
+    let data = null;
+
+    const body = text.replace(/```(?:json)?/gi, '').trim();
+    const start = body.search(/[[{]/);
+    const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        try {
+            data = JSON.parse(body.slice(start, end + 1));
+        } catch (e) {
+            console.warn("Vision reply is not JSON, reading it as plain text:", e);
+        }
+    }
+
+    if (!data) {
+        const label = body.replace(/["'.]/g, '').trim().toUpperCase();
+        if (!label) throw new Error("Vision API returned no answers");
+        return [{ label, confidence: null, description: '', icon: '✨', region: null }];
+    }
+
+    const list = Array.isArray(data) ? data : (data.answers || data.interpretations || [data]);
+    const answers = list
+        .filter(a => a && (a.label || a.name))
+        .map(a => {
+            const confidence = parseFloat(a.confidence);
+            let region = null;
+            const r = a.region || a.box;
+            if (r) {
+                const x = clamp01(Number(r.x)), y = clamp01(Number(r.y));
+                const w = Math.min(Number(r.w !== undefined ? r.w : r.width), 1 - x);
+                const h = Math.min(Number(r.h !== undefined ? r.h : r.height), 1 - y);
+                if (w > 0 && h > 0) region = { x, y, w, h };
+            }
+            return {
+                label: String(a.label || a.name).trim().toUpperCase(),
+                confidence: Number.isFinite(confidence) ? clamp01(confidence > 1 ? confidence / 100 : confidence) : null,
+                description: a.description ? String(a.description).trim() : '',
+                icon: a.emoji ? String(a.emoji).trim() : '✨',
+                region
+            };
+        });
+
+    // Stable sort: answers without a confidence keep the model's order behind those with one
+    answers.sort((a, b) => (b.confidence === null ? -1 : b.confidence) - (a.confidence === null ? -1 : a.confidence));
+    if (answers.length === 0) throw new Error("Vision API returned no answers");
+    return answers.slice(0, limit);
 }
 
 
@@ -708,13 +3071,27 @@ class App {
         this.currentFrameIndex = 0;
         this.isPlaying = false;
         this.playInterval = null;
+        this.interpolation = { mode: 'off', steps: 4 }; // mode: 'off', 'crossfade', 'motion'
+        this.sizeMode = CONFIG.blobSize.mode; // How tiny / huge blobs are judged: 'screen' or 'absolute'
+        this.selectionTarget = 'largest'; // Which blob a rectangle is read as: 'largest', 'center' or 'combined'
+        this.analysisTimeout = CONFIG.analysis.timeoutSeconds;
+        this.analysisJob = null; // The reading in progress (see startAnalysisJob)
 
         this.init();
     }
 
     async init() {
+        try {
+            this.provider = createRadarProvider();
+        } catch (error) {
+            console.error(error);
+            this.provider = new RainViewerProvider();
+        }
+        tileCache.setProvider(this.provider);
+
         this.initMap();
         this.initUI();
+        tileStore.prune().catch(e => console.warn("Tile store prune failed:", e));
         await this.loadRadarData();
     }
 
@@ -739,18 +3116,46 @@ class App {
         // Initialize our single custom layer
         this.rorschachLayer = new L.RorschachLayer();
         this.rorschachLayer.addTo(this.map);
+
+        // Prefetch queue follows the view: drop stale work while moving, re-queue once settled
+        this.map.on('movestart zoomstart', () => tileCache.cancelPrefetch());
+        this.map.on('moveend', () => this.prefetchFrames());
+        tileCache.addChangeListener(() => this.scheduleFrameProgress());
     }
 
     initUI() {
         document.getElementById('btn-radar').addEventListener('click', () => this.setMode('radar'));
         document.getElementById('btn-inkblot').addEventListener('click', () => this.setMode('inkblot'));
         document.getElementById('btn-both').addEventListener('click', () => this.setMode('both'));
+        document.getElementById('btn-kaleido').addEventListener('click', () => this.setMode('kaleido'));
 
         // Analysis Mode Toggle (Old buttons removed, logic moved to cards)
         // document.getElementById('btn-mode-local').addEventListener('click', () => this.setAnalysisMode('local'));
         // document.getElementById('btn-mode-cloud').addEventListener('click', () => this.setAnalysisMode('cloud'));
 
         document.getElementById('color-scheme').addEventListener('change', (e) => this.setTheme(e.target.value));
+
+        this.initLanguage();
+
+        // Symmetry Controls (Ink Blot mirror stage)
+        document.getElementById('symmetry-axis').addEventListener('change', (e) => {
+            this.rorschachLayer.setSymmetry({ axis: e.target.value });
+        });
+        document.getElementById('symmetry-origin').addEventListener('change', (e) => {
+            this.rorschachLayer.setSymmetry({ origin: e.target.value });
+            this.updateSymmetryCenter();
+        });
+        document.getElementById('symmetry-blend').addEventListener('change', (e) => {
+            this.rorschachLayer.setSymmetry({ blend: e.target.value });
+        });
+
+        // Radial Controls (Kaleido mode)
+        document.getElementById('radial-type').addEventListener('change', (e) => {
+            this.rorschachLayer.setRadial({ type: e.target.value });
+        });
+        document.getElementById('radial-segments').addEventListener('change', (e) => {
+            this.rorschachLayer.setRadial({ segments: parseInt(e.target.value) });
+        });
         document.getElementById('crt-intensity').addEventListener('input', (e) => {
             const val = parseInt(e.target.value);
             const root = document.documentElement;
@@ -775,13 +3180,84 @@ class App {
 
         document.getElementById('btn-play').addEventListener('click', () => this.toggleAnimation());
 
+        // Playback Interpolation
+        document.getElementById('interp-mode').addEventListener('change', (e) => {
+            this.setInterpolation({ mode: e.target.value });
+        });
+        document.getElementById('interp-steps').addEventListener('change', (e) => {
+            this.setInterpolation({ steps: parseInt(e.target.value) });
+        });
+
+        document.getElementById('btn-clear-store').addEventListener('click', () => this.clearStoredRadar());
+
+        // Ink Intensity (reflectivity threshold + density levels)
+        const dbzSlider = document.getElementById('ink-min-dbz');
+        dbzSlider.addEventListener('input', (e) => {
+            const minDbz = parseInt(e.target.value);
+            document.getElementById('ink-min-dbz-value').textContent = `${minDbz} DBZ`;
+            this.rorschachLayer.setIntensity({ minDbz });
+        });
+        document.getElementById('ink-levels').addEventListener('change', (e) => {
+            this.rorschachLayer.setIntensity({ levels: parseInt(e.target.value) });
+        });
+        this.renderIntensity();
+
+        // Wet Ink Trails
+        document.getElementById('wet-ink-length').addEventListener('change', (e) => {
+            this.rorschachLayer.setWetInk({ length: parseInt(e.target.value) });
+        });
+        document.getElementById('wet-ink-half-life').addEventListener('change', (e) => {
+            this.rorschachLayer.setWetInk({ halfLife: parseFloat(e.target.value) });
+        });
+
+        this.initInkSettings();
+        this.initDictionaries();
+
+        // Redraw cap (kiosks / battery): only limits how often changes are drawn, idle frames are never drawn
+        document.getElementById('frame-cap').addEventListener('change', (e) => {
+            this.rorschachLayer.setMaxFps(parseInt(e.target.value));
+        });
+
         // New Identify Button (Initiate Scan)
         document.getElementById('btn-initiate').addEventListener('click', () => this.identifyObject());
 
         // Selection Tool
         document.getElementById('btn-select').addEventListener('click', () => this.toggleSelectionMode());
+        document.getElementById('btn-pick-blob').addEventListener('click', () => this.togglePickMode());
         this.initSelectionTool();
 
+        // Size Scale for tiny / huge readings
+        document.getElementById('size-mode').value = this.sizeMode;
+        document.getElementById('size-mode').addEventListener('change', (e) => {
+            this.sizeMode = e.target.value;
+        });
+
+        // Which blob inside a rectangle selection gets read
+        document.getElementById('selection-target').value = this.selectionTarget;
+        document.getElementById('selection-target').addEventListener('change', (e) => {
+            this.selectionTarget = e.target.value;
+        });
+
+        // Cloud Vision backend
+        this.initVision();
+
+        // Time limit for a reading, and CANCEL while it runs
+        document.getElementById('analysis-timeout').value = this.analysisTimeout;
+        document.getElementById('analysis-timeout').addEventListener('change', (e) => {
+            // Blank or garbage input would read as NaN, i.e. no timeout at all
+            const seconds = parseInt(e.target.value);
+            this.analysisTimeout = Number.isFinite(seconds) && seconds >= 0 ? seconds : CONFIG.analysis.timeoutSeconds;
+            e.target.value = this.analysisTimeout;
+        });
+        document.querySelector('#result-overlay .result-cancel').addEventListener('click', () => {
+            if (this.analysisJob) {
+                this.cancelAnalysis();
+            } else {
+                this.hideLoading();
+            }
+        });
+        document.querySelector('#result-overlay .close-result').addEventListener('click', () => this.closeResult());
+
         // New Analysis Cards
         document.getElementById('card-local').addEventListener('click', () => this.selectAnalysisCard('local'));
         document.getElementById('card-cloud').addEventListener('click', () => this.selectAnalysisCard('cloud'));
@@ -793,12 +3269,12 @@ class App {
         // Initial State for Mobile: Collapsed
         if (window.innerWidth <= 768) {
             panel.classList.add('collapsed');
-            toggleBtn.textContent = '[ MENU ]';
+            i18n.setText(toggleBtn, 'menu.show');
         }
 
         toggleBtn.addEventListener('click', () => {
             panel.classList.toggle('collapsed');
-            toggleBtn.textContent = panel.classList.contains('collapsed') ? '[ MENU ]' : '[ HIDE ]';
+            i18n.setText(toggleBtn, panel.classList.contains('collapsed') ? 'menu.show' : 'menu.hide');
         });
 
         // Lock Selection Button (Mobile)
@@ -808,10 +3284,12 @@ class App {
             }
         });
 
-        // Escape Key to Cancel Selection
+        // Escape Key to Cancel Selection (or Blob Picking)
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isSelectionMode) {
                 this.toggleSelectionMode();
+            } else if (e.key === 'Escape' && this.isPickMode) {
+                this.togglePickMode();
             }
         });
 
@@ -819,6 +3297,9 @@ class App {
         const exitAnalysisBtn = document.getElementById('btn-exit-analysis');
         if (exitAnalysisBtn) {
             exitAnalysisBtn.addEventListener('click', () => {
+                // Leaving the panel drops a reading still in progress
+                this.cancelAnalysis();
+
                 // If in selection mode, exit it (which clears selection and hides panel)
                 if (this.isSelectionMode) {
                     this.toggleSelectionMode();
@@ -861,10 +3342,24 @@ class App {
         this.selectionLayer = null; // L.Rectangle
         this.resizeHandles = []; // Array of L.Marker
 
+        // Blob Picking (click a single blob instead of drawing a rectangle)
+        this.isPickMode = false;
+        this.pickBlobs = []; // Blobs from the last full-view outline pass
+        this.hoveredBlob = null;
+        this.blobHoverLayer = null; // L.Polygon
+        this.pickedBlob = null;
+        this.pickedBlobLayer = null; // L.Polygon
+
         // Map Events for Drawing
         this.map.on('mousedown', (e) => this.onMapMouseDown(e));
         this.map.on('mousemove', (e) => this.onMapMouseMove(e));
         this.map.on('mouseup', (e) => this.onMapMouseUp(e));
+        this.map.on('click', (e) => this.onMapClick(e));
+
+        // Blobs are traced for one view; trace again once the map settles
+        this.map.on('moveend', () => {
+            if (this.isPickMode) this.refreshPickBlobs();
+        });
 
         // Touch Support (Native DOM Events)
         const mapContainer = this.map.getContainer();
@@ -874,6 +3369,7 @@ class App {
     }
 
     toggleSelectionMode() {
+        if (!this.isSelectionMode && this.isPickMode) this.togglePickMode();
         this.isSelectionMode = !this.isSelectionMode;
         const btn = document.getElementById('btn-select');
         const container = document.querySelector('.crt-container');
@@ -882,9 +3378,9 @@ class App {
             btn.classList.add('active');
             // Update text if re-selecting
             if (this.selectionLayer) {
-                btn.textContent = 'RE-SELECT AREA';
+                i18n.setText(btn, 'select.again');
             } else {
-                btn.textContent = 'CANCEL SELECTION';
+                i18n.setText(btn, 'select.cancel');
             }
 
             this.map.dragging.disable();
@@ -898,7 +3394,7 @@ class App {
             if (window.innerWidth <= 768) {
                 if (panel) {
                     panel.classList.add('collapsed');
-                    if (toggleBtn) toggleBtn.textContent = '[ MENU ]';
+                    if (toggleBtn) i18n.setText(toggleBtn, 'menu.show');
                 }
                 // Show Lock Button on Mobile
                 if (lockBtn) lockBtn.style.display = 'block';
@@ -914,9 +3410,9 @@ class App {
 
             // Restore text based on state
             if (this.selectionLayer) {
-                btn.textContent = 'RE-SELECT AREA';
+                i18n.setText(btn, 'select.again');
             } else {
-                btn.textContent = 'SELECT TARGET AREA';
+                i18n.setText(btn, 'select.start');
             }
 
             this.map.dragging.enable();
@@ -931,7 +3427,7 @@ class App {
             if (window.innerWidth <= 768) {
                 if (panel) {
                     panel.classList.remove('collapsed');
-                    if (toggleBtn) toggleBtn.textContent = '[ HIDE ]';
+                    if (toggleBtn) i18n.setText(toggleBtn, 'menu.hide');
                 }
                 // Hide Lock Button
                 if (lockBtn) lockBtn.style.display = 'none';
@@ -1010,6 +3506,16 @@ class App {
     }
 
     onMapMouseMove(e) {
+        if (this.isDraggingKaleidoCenter) {
+            this.setKaleidoCenter(e.latlng);
+            return;
+        }
+
+        if (this.isPickMode) {
+            this.setHoveredBlob(this.findBlobAt(e.latlng));
+            return;
+        }
+
         if (this.isSelecting) {
             // Update Draw
             const bounds = L.latLngBounds(this.selectionStartLatLng, e.latlng);
@@ -1036,14 +3542,20 @@ class App {
     }
 
     onMapMouseUp(e) {
+        if (this.isDraggingKaleidoCenter) {
+            this.isDraggingKaleidoCenter = false;
+            if (!this.isSelectionMode) this.map.dragging.enable();
+        }
+
         if (this.isSelecting) {
             this.isSelecting = false;
             this.selectionBoundsLatLng = this.selectionLayer.getBounds();
             this.showResizeHandles();
+            this.updateSymmetryCenter();
 
             // Show Analysis Panel
             document.getElementById('analysis-panel').style.display = 'block';
-            document.getElementById('btn-select').textContent = 'RE-SELECT AREA';
+            i18n.setText(document.getElementById('btn-select'), 'select.again');
 
             // Auto-exit selection mode? User might want to tweak. Let's stay in mode.
         }
@@ -1051,13 +3563,162 @@ class App {
         if (this.isDraggingSelection) {
             this.isDraggingSelection = false;
             this.selectionBoundsLatLng = this.selectionLayer.getBounds();
+            this.updateSymmetryCenter();
         }
 
         if (this.isResizingSelection) {
             this.isResizingSelection = false;
             this.selectionBoundsLatLng = this.selectionLayer.getBounds();
             this.map.dragging.disable(); // Ensure map drag stays off
+            this.updateSymmetryCenter();
+        }
+    }
+
+    onMapClick(e) {
+        if (!this.isPickMode) return;
+
+        const blob = this.findBlobAt(e.latlng);
+        if (blob) this.pickBlob(blob);
+    }
+
+    // --- Blob Picking ---
+
+    togglePickMode() {
+        if (!this.isPickMode && this.isSelectionMode) this.toggleSelectionMode();
+        this.isPickMode = !this.isPickMode;
+
+        const btn = document.getElementById('btn-pick-blob');
+        const container = document.querySelector('.crt-container');
+        btn.classList.toggle('active', this.isPickMode);
+        i18n.setText(btn, this.isPickMode ? 'pick.cancel' : 'pick.start');
+
+        if (this.isPickMode) {
+            container.style.cursor = 'pointer';
+            this.refreshPickBlobs();
+        } else {
+            container.style.cursor = 'default';
+            this.setHoveredBlob(null);
+            this.pickBlobs = [];
+        }
+    }
+
+    async refreshPickBlobs() {
+        this.updateStatus('status.tracing', true);
+
+        // Picking traces the ink, which is processed from the radar buffer in every mode,
+        // so the visible mode is left as it is
+        try {
+            const found = await this.rorschachLayer.getOutlines(null);
+            if (!this.isPickMode) return; // Cancelled while tracing
+
+            // Hit-test shapes in [lng, lat] so InkContours.contains works on them directly
+            this.pickBlobs = found ? found.blobs.map(blob => ({
+                ...blob,
+                hitRings: blob.rings.map(ring => ring.latLngs.map(p => [p.lng, p.lat]))
+            })) : [];
+            this.setHoveredBlob(null);
+            if (this.pickBlobs.length > 0) {
+                this.updateStatus('status.pickBlob', false, { count: this.pickBlobs.length });
+            } else {
+                this.updateStatus('status.noShape', false);
+            }
+        } catch (e) {
+            console.error("Blob tracing failed:", e);
+            this.updateStatus('status.tracingFailed', false);
+        }
+    }
+
+    // Innermost blob under the point (an island inside another blob's hole wins)
+    findBlobAt(latlng) {
+        const point = [latlng.lng, latlng.lat];
+        let best = null;
+
+        for (const blob of this.pickBlobs) {
+            const [outer, ...holes] = blob.hitRings;
+            if (!InkContours.contains(outer, point)) continue;
+            if (holes.some(hole => InkContours.contains(hole, point))) continue;
+            if (!best || blob.area < best.area) best = blob;
+        }
+        return best;
+    }
+
+    setHoveredBlob(blob) {
+        if (blob === this.hoveredBlob) return;
+        this.hoveredBlob = blob;
+
+        if (this.blobHoverLayer) {
+            this.map.removeLayer(this.blobHoverLayer);
+            this.blobHoverLayer = null;
+        }
+        if (blob) {
+            this.blobHoverLayer = L.polygon(blob.polygons, {
+                color: '#00ff41',
+                weight: 2,
+                dashArray: '5, 5',
+                fillOpacity: 0.15,
+                interactive: false
+            }).addTo(this.map);
+        }
+    }
+
+    pickBlob(blob) {
+        // A picked blob replaces any rectangle selection
+        this.togglePickMode();
+        this.clearSelection();
+
+        this.pickedBlob = blob;
+        this.pickedBlobLayer = L.polygon(blob.polygons, {
+            color: '#00ff41',
+            weight: 2,
+            fillOpacity: 0.1,
+            interactive: false
+        }).addTo(this.map);
+
+        // Show Analysis Panel
+        document.getElementById('analysis-panel').style.display = 'block';
+        this.updateStatus('status.blobSelected', false);
+    }
+
+    /**
+     * What to analyze: the picked blob, else the selection rectangle, else the whole view.
+     * Returns { clippingBounds (container pixels or null), blob (picked blob or null) }
+     */
+    getAnalysisTarget() {
+        let bounds = null;
+
+        if (this.pickedBlob) {
+            // Crop around the blob as it sits now (the map may have moved since it was picked)
+            const points = this.pickedBlob.rings[0].latLngs.map(p => this.map.latLngToContainerPoint(p));
+            const pad = 10;
+            bounds = {
+                minX: Math.min(...points.map(p => p.x)) - pad,
+                minY: Math.min(...points.map(p => p.y)) - pad,
+                maxX: Math.max(...points.map(p => p.x)) + pad,
+                maxY: Math.max(...points.map(p => p.y)) + pad
+            };
+        } else if (this.selectionLayer) {
+            const selection = this.selectionLayer.getBounds();
+            const nw = this.map.latLngToContainerPoint(selection.getNorthWest());
+            const se = this.map.latLngToContainerPoint(selection.getSouthEast());
+            bounds = {
+                minX: Math.min(nw.x, se.x),
+                minY: Math.min(nw.y, se.y),
+                maxX: Math.max(nw.x, se.x),
+                maxY: Math.max(nw.y, se.y)
+            };
         }
+
+        if (bounds) {
+            bounds.w = bounds.maxX - bounds.minX;
+            bounds.h = bounds.maxY - bounds.minY;
+        }
+        return { clippingBounds: bounds, blob: this.pickedBlob };
+    }
+
+    // Keep the mirror axis pinned to the selection (falls back to viewport center when there is none)
+    updateSymmetryCenter() {
+        const center = this.selectionBoundsLatLng ? this.selectionBoundsLatLng.getCenter() : null;
+        this.rorschachLayer.setSymmetry({ center: center });
     }
 
     clearSelection() {
@@ -1068,10 +3729,17 @@ class App {
         this.hideResizeHandles();
         this.selectionBoundsLatLng = null;
         this.selectionBounds = null; // Clear old pixel bounds
+        this.updateSymmetryCenter();
+
+        if (this.pickedBlobLayer) {
+            this.map.removeLayer(this.pickedBlobLayer);
+            this.pickedBlobLayer = null;
+        }
+        this.pickedBlob = null;
 
         // Reset UI
         document.getElementById('analysis-panel').style.display = 'none';
-        document.getElementById('btn-select').textContent = 'SELECT TARGET AREA';
+        i18n.setText(document.getElementById('btn-select'), 'select.start');
 
         // Reset Analysis State
         this.analysisMode = null;
@@ -1165,6 +3833,43 @@ class App {
         this.updateResizeHandles();
     }
 
+    // --- Kaleido Center Handle ---
+
+    showKaleidoHandle() {
+        if (this.kaleidoHandle) return;
+
+        const icon = L.divIcon({
+            className: 'resize-handle kaleido-handle',
+            iconSize: [14, 14],
+            iconAnchor: [7, 7]
+        });
+
+        this.kaleidoHandle = L.marker(this.kaleidoCenter || this.map.getCenter(), { icon: icon, draggable: false }).addTo(this.map);
+        this.setKaleidoCenter(this.kaleidoHandle.getLatLng());
+
+        // Same pattern as the resize handles: grab on mousedown, track through map mousemove
+        const element = this.kaleidoHandle.getElement();
+        element.addEventListener('mousedown', (e) => {
+            L.DomEvent.stopPropagation(e); // Prevent map draw / pan
+            this.isDraggingKaleidoCenter = true;
+            this.map.dragging.disable();
+        });
+    }
+
+    hideKaleidoHandle() {
+        if (this.kaleidoHandle) {
+            this.map.removeLayer(this.kaleidoHandle);
+            this.kaleidoHandle = null;
+        }
+        this.isDraggingKaleidoCenter = false;
+    }
+
+    setKaleidoCenter(latlng) {
+        this.kaleidoCenter = latlng;
+        if (this.kaleidoHandle) this.kaleidoHandle.setLatLng(latlng);
+        this.rorschachLayer.setRadial({ center: latlng });
+    }
+
     updateSelectionBox(currentX, currentY) {
         // Deprecated DOM method
     }
@@ -1184,12 +3889,16 @@ class App {
         const content = overlay.querySelector('.result-content');
         const iconEl = overlay.querySelector('.result-icon');
         const textEl = overlay.querySelector('.result-text');
-        const closeBtn = overlay.querySelector('.close-result');
 
         // Reset content for loading state
         iconEl.innerHTML = '⚙️'; // Gear or Radar icon
         iconEl.className = 'result-icon spin'; // Add spin class
-        textEl.textContent = 'ANALYZING PATTERN...';
+        i18n.setText(textEl, 'result.loading');
+        overlay.querySelector('.result-description').textContent = '';
+        overlay.querySelector('.result-nav').style.display = 'none';
+        overlay.querySelector('.result-why').textContent = '';
+        overlay.querySelector('.result-matches').textContent = '';
+        overlay.querySelector('.result-seed').textContent = '';
 
         // Smart Positioning (Desktop Only)
         if (centerLatLng && window.innerWidth > 768) {
@@ -1223,15 +3932,33 @@ class App {
             overlay.style.bottom = '';
         }
 
+        overlay.querySelector('.result-cancel').style.display = '';
         overlay.style.display = 'flex';
+    }
 
-        // Temporary close handler in case it gets stuck
-        const closeHandler = () => {
-            overlay.style.display = 'none';
-            iconEl.classList.remove('spin');
-            closeBtn.removeEventListener('click', closeHandler);
-        };
-        closeBtn.addEventListener('click', closeHandler);
+    hideLoading() {
+        const overlay = document.getElementById('result-overlay');
+        overlay.style.display = 'none';
+        overlay.querySelector('.result-icon').classList.remove('spin');
+        overlay.querySelector('.result-cancel').style.display = 'none';
+    }
+
+    /**
+     * The overlay's × (one listener, added in initUI): cancels a reading in progress,
+     * otherwise closes the result and clears what it drew on the map
+     */
+    closeResult() {
+        if (this.analysisJob) {
+            this.cancelAnalysis();
+            return;
+        }
+
+        this.hideLoading();
+        for (const layer of ['outlineLayer', 'labelMarker', 'sketchLayer', 'regionLayer']) {
+            if (this[layer]) this.map.removeLayer(this[layer]);
+            this[layer] = null;
+        }
+        this.rorschachLayer.setOutlines(null);
     }
 
     identifyObject() {
@@ -1245,10 +3972,18 @@ class App {
 
         // Determine Center for Loading Positioning
         let center = this.map.getCenter();
-        if (this.selectionLayer) {
+        if (this.pickedBlob) {
+            center = this.pickedBlob.center;
+        } else if (this.selectionLayer) {
             center = this.selectionLayer.getBounds().getCenter();
         }
 
+        // Every random choice in this analysis comes from one seed (typed in, or derived from the view)
+        this.analysisSeed = this.resolveAnalysisSeed();
+
+        // A new reading replaces the one still running, if any
+        const job = this.startAnalysisJob();
+
         // Show Loading State Immediately (with positioning)
         this.showLoading(center);
 
@@ -1258,7 +3993,7 @@ class App {
             const toggleBtn = document.getElementById('btn-toggle-menu');
             if (panel) {
                 panel.classList.add('collapsed');
-                if (toggleBtn) toggleBtn.textContent = '[ MENU ]';
+                if (toggleBtn) i18n.setText(toggleBtn, 'menu.show');
             }
         }
 
@@ -1275,102 +4010,193 @@ class App {
             this.map.removeLayer(this.sketchLayer);
             this.sketchLayer = null;
         }
+        if (this.regionLayer) {
+            this.map.removeLayer(this.regionLayer);
+            this.regionLayer = null;
+        }
 
         // Clear canvas outlines
         this.rorschachLayer.setOutlines(null);
 
         // Small delay to let the UI update before heavy processing
         setTimeout(() => {
+            if (job.signal.aborted) return;
             if (this.analysisMode === 'cloud') {
-                this.analyzeWithGemini();
+                this.analyzeWithVision(job);
             } else {
-                this.analyzeLocal();
+                this.analyzeLocal(job);
             }
         }, 100);
     }
 
-    analyzeLocal() {
-        this.updateStatus('ANALYZING...', true);
+    /**
+     * Analysis jobs: one reading at a time, each with its own AbortController.
+     * The signal aborts on CANCEL, on timeout, or when a newer reading starts;
+     * the analyze methods check it after every wait, so an aborted job never reaches the screen.
+     */
+    startAnalysisJob() {
+        this.cancelAnalysis('superseded');
+
+        const controller = new AbortController();
+        const job = { controller, signal: controller.signal, timer: null };
+        if (this.analysisTimeout > 0) {
+            job.timer = setTimeout(() => {
+                if (this.analysisJob === job) this.cancelAnalysis('timeout');
+            }, this.analysisTimeout * 1000);
+        }
+        this.analysisJob = job;
+        return job;
+    }
+
+    // The job is done (shown or given up on): stop its timeout
+    finishAnalysisJob(job) {
+        clearTimeout(job.timer);
+        if (this.analysisJob === job) this.analysisJob = null;
+    }
+
+    // reason: 'cancelled' (CANCEL / close), 'timeout', or 'superseded' (a newer reading took over, UI left alone)
+    cancelAnalysis(reason = 'cancelled') {
+        const job = this.analysisJob;
+        if (!job) return;
+        this.finishAnalysisJob(job);
+        job.controller.abort();
+
+        if (reason === 'superseded') return;
+        this.hideLoading();
+        if (reason === 'timeout') {
+            this.showError('error.timeout', { seconds: this.analysisTimeout });
+        } else {
+            this.updateStatus('status.cancelled', false);
+            setTimeout(() => this.updateStatus('status.online', false), 2000);
+        }
+    }
+
+    async analyzeLocal(job) {
+        this.updateStatus('status.analyzing', true);
 
-        // 0. Resolve Selection Bounds (Pixels)
-        let clippingBounds = null;
-        if (this.selectionLayer) {
-            const bounds = this.selectionLayer.getBounds();
-            const nw = this.map.latLngToContainerPoint(bounds.getNorthWest());
-            const se = this.map.latLngToContainerPoint(bounds.getSouthEast());
-            clippingBounds = {
-                minX: Math.min(nw.x, se.x),
-                minY: Math.min(nw.y, se.y),
-                maxX: Math.max(nw.x, se.x),
-                maxY: Math.max(nw.y, se.y),
-                w: Math.abs(nw.x - se.x),
-                h: Math.abs(nw.y - se.y)
-            };
-        }
+        // 0. Resolve Target (picked blob or selection bounds in pixels)
+        const target = this.getAnalysisTarget();
 
-        // 1. Get Blob Data (Segments + Center) - WITH CLIPPING
-        const blob = this.rorschachLayer.getOutlines(clippingBounds);
+        // 1. Get Blob Data (Rings + Center) - the picked blob as is, otherwise traced WITH CLIPPING
+        // and narrowed to one blob of the selection
+        let blob = target.blob;
+        if (!blob) {
+            try {
+                blob = this.chooseSelectionBlob(await this.rorschachLayer.getOutlines(target.clippingBounds), target.clippingBounds);
+            } catch (e) {
+                this.failTracing(job, e);
+                return;
+            }
+        }
+        if (job.signal.aborted) return;
 
         if (!blob) {
-            this.updateStatus('NO SHAPE DETECTED', false);
-            setTimeout(() => this.updateStatus('ONLINE', false), 2000);
+            this.finishAnalysisJob(job);
+            this.hideLoading();
+            this.updateStatus('status.noShape', false);
+            setTimeout(() => this.updateStatus('status.online', false), 2000);
             return;
         }
 
-        // 2. Mock AI Delay
-        setTimeout(() => {
-            // 3. Analyze Shape using Heuristics
-            // Pass current map bounds for normalization
-            const viewBounds = this.map.getBounds();
-            let result = ShapeAnalyzer.analyze(blob, viewBounds);
-
-            if (!result) {
-                // Fallback if analysis fails
-                result = { label: "UNKNOWN", icon: "❓" };
-            }
+        // 2. Compare the silhouette with the reference sketches
+        let matches = [];
+        try {
+            matches = await sketchMatcher.match(blob, this.map);
+        } catch (e) {
+            console.warn("Sketch matching failed:", e);
+        }
+
+        // 3. Mock AI Delay
+        await waitFor(800, job.signal); // Faster than 1500ms since it's local
+        if (job.signal.aborted) return;
+        this.finishAnalysisJob(job);
+
+        // 4. Analyze Shape using Heuristics
+        // Pass current map bounds for normalization
+        const viewBounds = this.map.getBounds();
+        let result = ShapeAnalyzer.analyze(blob, viewBounds, new SeededRandom(this.analysisSeed), this.sizeMode);
+
+        if (!result) {
+            // Fallback if analysis fails
+            result = { label: "UNKNOWN", icon: "❓" };
+        }
+
+        // A close sketch match names the shape outright, if the active dictionary uses that label
+        result.matches = matches;
+        const best = matches[0];
+        if (best && best.score >= SketchMatcher.CONFIDENT_MATCH && DictionaryStore.hasLabel(dictionaries.getActive(), best.label)) {
+            result = { ...result, label: best.label, icon: best.icon, sketch: best };
+        }
+
+        // 5. Show Overlay (Leaflet Layers)
+        this.showInterpretation(blob, result);
+        this.updateStatus('status.complete', false);
+    }
+
+    // Outline tracing threw (ink processing or the worker): end the job instead of spinning until the timeout
+    failTracing(job, error) {
+        if (job.signal.aborted) return;
+        console.error("Blob tracing failed:", error);
+        this.finishAnalysisJob(job);
+        this.hideLoading();
+        this.updateStatus('status.tracingFailed', false);
+    }
 
-            // 4. Show Overlay (Leaflet Layers)
-            this.showInterpretation(blob, result);
-            this.updateStatus('ANALYSIS COMPLETE', false);
-        }, 800); // Faster than 1500ms since it's local
+    /**
+     * A rectangle can hold several blobs; a reading is about one of them: the largest,
+     * or the one whose centroid is nearest the selection's centre. 'combined' reads them all as one shape.
+     */
+    chooseSelectionBlob(found, clippingBounds) {
+        if (!found || this.selectionTarget === 'combined' || found.blobs.length === 0) return found;
+
+        if (this.selectionTarget === 'center' && clippingBounds) {
+            const center = this.map.containerPointToLatLng([
+                clippingBounds.minX + clippingBounds.w / 2,
+                clippingBounds.minY + clippingBounds.h / 2
+            ]);
+            return found.blobs.reduce((best, blob) =>
+                center.distanceTo(blob.center) < center.distanceTo(best.center) ? blob : best);
+        }
+        return found.blobs.reduce((best, blob) => (blob.area > best.area ? blob : best));
     }
 
     // Helper not needed anymore if we clip in getOutlines
     // filterBlobBySelection(blob, bounds) { ... }
 
-    async analyzeWithGemini() {
-        const apiKey = document.getElementById('api-key-input').value.trim();
-        if (!apiKey) {
-            alert("Please enter a valid Gemini API Key for Cloud Analysis.");
+    async analyzeWithVision(job) {
+        const provider = this.getVisionProvider();
+        if (provider.needsKey && !provider.apiKey) {
+            this.finishAnalysisJob(job);
+            this.hideLoading();
+            alert(i18n.t('analysis.apiKeyMissing', { provider: provider.name }));
             return;
         }
 
-        // 0. Resolve Selection Bounds (Pixels)
-        let clippingBounds = null;
-        if (this.selectionLayer) {
-            const bounds = this.selectionLayer.getBounds();
-            const nw = this.map.latLngToContainerPoint(bounds.getNorthWest());
-            const se = this.map.latLngToContainerPoint(bounds.getSouthEast());
-            clippingBounds = {
-                minX: Math.min(nw.x, se.x),
-                minY: Math.min(nw.y, se.y),
-                maxX: Math.max(nw.x, se.x),
-                maxY: Math.max(nw.y, se.y),
-                w: Math.abs(nw.x - se.x),
-                h: Math.abs(nw.y - se.y)
-            };
-        }
+        // 0. Resolve Target (picked blob or selection bounds in pixels)
+        const target = this.getAnalysisTarget();
+        const clippingBounds = target.clippingBounds;
 
-        // 1. Capture View - WITH CLIPPING
-        const blob = this.rorschachLayer.getOutlines(clippingBounds);
+        // 1. Capture View - WITH CLIPPING (a picked blob is cropped to its own bounds)
+        let blob = target.blob;
+        if (!blob) {
+            try {
+                blob = await this.rorschachLayer.getOutlines(clippingBounds);
+            } catch (e) {
+                this.failTracing(job, e);
+                return;
+            }
+        }
+        if (job.signal.aborted) return;
 
-        if ((!blob || !blob.segments || blob.segments.length === 0) && !clippingBounds) {
-            this.updateStatus('NO SHAPE DETECTED', false);
-            setTimeout(() => this.updateStatus('ONLINE', false), 2000);
+        if ((!blob || !blob.rings || blob.rings.length === 0) && !clippingBounds) {
+            this.finishAnalysisJob(job);
+            this.hideLoading();
+            this.updateStatus('status.noShape', false);
+            setTimeout(() => this.updateStatus('status.online', false), 2000);
             return;
         }
 
-        this.updateStatus('GEMINI VISION...', true);
+        this.updateStatus('status.vision', true, { model: provider.model.toUpperCase() });
 
         try {
             // Capture & Downscale Canvas
@@ -1395,7 +4221,7 @@ class App {
 
             ctx.drawImage(sourceCanvas, sx, sy, sw, sh, 0, 0, tempCanvas.width, tempCanvas.height);
 
-            // Apply Mask to Image (so Gemini doesn't see outside stuff if we just cropped rect)
+            // Apply Mask to Image (so the model doesn't see outside stuff if we just cropped rect)
             // Actually, drawImage crops rect. But if we want to be strict, we might want to mask.
             // But cropping is usually enough for Vision API.
 
@@ -1409,77 +4235,77 @@ class App {
 
             // 2. Prompt Engineering
             const categories = ['Monster', 'Sci-Fi Vehicle', 'Animal', 'Food', 'Tool', 'Human Face', 'Mythical Creature'];
-            const category = categories[Math.floor(Math.random() * categories.length)];
+            const category = new SeededRandom(this.analysisSeed).pick(categories);
 
             const prompt = `Look at this Rorschach inkblot. The image shows WHITE shapes on a BLACK background.
             Focus on the WHITE organic shapes. IMPORTANT: Look at the internal black negative space (holes) within the white shapes—they often form eyes, mouths, or facial features.
             It is NOT a map, island, archipelago, or cloud.
             Use your imagination. If this shape (including its internal details) were a ${category}, what specific one would it be?
-            Answer with just the noun (e.g. "Dragon", "Spaceship", "Pizza"). Do not add period.`;
-
-            // 3. Call Gemini Vision (Identify)
-            const visionResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-flash-latest:generateContent?key=${apiKey}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [
-                            { text: prompt },
-                            { inline_data: { mime_type: "image/jpeg", data: base64Image } }
-                        ]
-                    }]
-                })
-            });
-
-            const visionData = await visionResponse.json();
-
-            if (visionData.error) {
-                throw new Error(visionData.error.message || "API Error");
-            }
-
-            if (!visionData.candidates || !visionData.candidates[0].content) {
-                throw new Error("Vision API returned no content");
+            Give up to ${CONFIG.vision.answers} different interpretations, most convincing first, written in ${i18n.catalog.promptLanguage}.
+            Reply with JSON only, in this form:
+            {"answers": [{"label": "Dragon", "confidence": 0.8, "description": "Wings spread wide, the holes are its eyes", "emoji": "🐉", "region": {"x": 0.1, "y": 0.2, "w": 0.6, "h": 0.5}}]}
+            "label" is just the noun (e.g. "Dragon", "Spaceship", "Pizza"). "confidence" is between 0 and 1. "description" is one short line.
+            "region" is the part of the image the interpretation is about, as fractions of the image width and height measured from the top-left corner.`;
+
+            // 3. Ask the vision backend (Identify)
+            const reply = await provider.describe({ image: base64Image, mimeType: 'image/jpeg', prompt, json: true, signal: job.signal });
+            if (job.signal.aborted) return;
+            const answers = parseVisionAnswers(reply);
+
+            // Regions are shares of the capture; pin them to the map while it still shows what was sent
+            for (const answer of answers) {
+                if (!answer.region) continue;
+                const { x, y, w, h } = answer.region;
+                answer.bounds = L.latLngBounds(
+                    this.map.containerPointToLatLng([sx + x * sw, sy + y * sh]),
+                    this.map.containerPointToLatLng([sx + (x + w) * sw, sy + (y + h) * sh])
+                );
             }
 
-            const identifiedNoun = visionData.candidates[0].content.parts[0].text.trim().toUpperCase();
-            console.log("Gemini Identified:", identifiedNoun);
-
             const result = {
-                label: identifiedNoun,
-                icon: "✨"
+                answers,
+                provider: provider.name
             };
 
             // Use the (potentially filtered) blob
             // If selection was used, blob is already filtered and centered correctly.
             // If no blob (empty space selected), we might have an issue, but we checked earlier.
 
-            // If we have a selection but NO segments found inside it (rare if we sent image),
+            // If we have a selection but NO outlines found inside it (rare if we sent image),
             // we should at least show the label at the center.
             if (!blob && this.selectionBounds) {
                  const cx = this.selectionBounds.x + this.selectionBounds.w / 2;
                  const cy = this.selectionBounds.y + this.selectionBounds.h / 2;
                  blob = {
                      center: this.map.containerPointToLatLng([cx, cy]),
-                     segments: []
+                     rings: [],
+                     polygons: []
                  };
             }
 
+            this.finishAnalysisJob(job);
             this.showCloudInterpretation(blob, result);
-            this.updateStatus('ANALYSIS COMPLETE', false);
+            this.updateStatus('status.complete', false);
 
         } catch (error) {
-            console.error("Gemini Integration Error:", error);
-            this.showError(`API ERROR: ${error.message}`);
-            // Fallback to local
-            setTimeout(() => this.analyzeLocal(), 3000);
+            // Cancelled, timed out or replaced by a newer reading: nothing to report
+            if (job.signal.aborted) return;
+
+            console.error("Cloud Vision Error:", error);
+            this.showError('error.api', { message: error.message });
+
+            // Fallback to local, still within this job so CANCEL and the timeout cover it
+            i18n.setText(document.querySelector('#result-overlay .result-text'), 'result.fallback');
+            await waitFor(3000, job.signal);
+            if (!job.signal.aborted) this.analyzeLocal(job);
         }
     }
 
     showCloudInterpretation(blob, result) {
-        // 1. ALWAYS Show Red Outline (if segments exist)
-        if (blob && blob.segments && blob.segments.length > 0) {
+        // 1. ALWAYS Show Red Outline (if outlines exist)
+        if (blob && blob.rings && blob.rings.length > 0) {
             // Use the new Canvas-based rendering for outlines
-            this.rorschachLayer.setOutlines(blob.segments);
+            this.rorschachLayer.setOutlines(blob.rings);
         } else if (this.selectionBounds) {
             // If no blob but selection, maybe show a red box?
             // Let's rely on the user's green box or just the label.
@@ -1518,43 +4344,81 @@ class App {
     }).addTo(this.map);
     */
 
-    // 4. Show Result Overlay
+    // 4. Show Result Overlay, starting with the best answer
     const overlay = document.getElementById('result-overlay');
     const content = overlay.querySelector('.result-content');
     const iconEl = overlay.querySelector('.result-icon');
-    const textEl = overlay.querySelector('.result-text');
-    const closeBtn = overlay.querySelector('.close-result');
 
-    iconEl.textContent = result.icon;
-    textEl.textContent = `GEMINI SEES A ${result.label}`;
+    overlay.querySelector('.result-why').textContent = '';
+    overlay.querySelector('.result-matches').textContent = '';
+    this.renderSeed(overlay.querySelector('.result-seed'));
+    this.showCloudAnswer(result, 0);
+    overlay.querySelector('.result-cancel').style.display = 'none';
     iconEl.classList.remove('spin'); // Stop spinning
     overlay.style.display = 'flex';
 
-    // Close Handler
-    const closeHandler = () => {
-        overlay.style.display = 'none';
-        if (this.labelMarker) this.map.removeLayer(this.labelMarker);
-
-        // Clear outlines
-        this.rorschachLayer.setOutlines(null);
-
-        this.labelMarker = null;
-        this.outlineLayer = null;
-        closeBtn.removeEventListener('click', closeHandler);
-    };
-    closeBtn.addEventListener('click', closeHandler);
-
-    // Auto-close removed to keep result visible until user action
+    // Closing is handled by closeResult(); auto-close removed to keep result visible until user action
 }
+    /**
+     * One of the ranked cloud answers in the result overlay, its region outlined on the map.
+     * The arrows cycle through the others.
+     */
+    showCloudAnswer(result, index) {
+        const overlay = document.getElementById('result-overlay');
+        const answer = result.answers[index];
+        const total = result.answers.length;
+
+        overlay.querySelector('.result-icon').textContent = answer.icon;
+        // The label comes back in the selected language, so it is used as is:
+        // free text has no catalog gender, so no article or agreement is built around it
+        i18n.setRaw(overlay.querySelector('.result-text'), i18n.t('result.cloud', {
+            provider: result.provider,
+            label: answer.label
+        }));
+
+        const confidence = answer.confidence === null ? '' :
+            i18n.t('result.confidence', { value: i18n.formatNumber(answer.confidence, { style: 'percent' }) });
+        overlay.querySelector('.result-description').textContent = [confidence, answer.description].filter(Boolean).join(' · ');
+
+        overlay.querySelector('.result-nav').style.display = total > 1 ? '' : 'none';
+        overlay.querySelector('.result-rank').textContent = i18n.t('result.rank', { rank: index + 1, total });
+        overlay.querySelector('.result-prev').onclick = () => this.showCloudAnswer(result, (index + total - 1) % total);
+        overlay.querySelector('.result-next').onclick = () => this.showCloudAnswer(result, (index + 1) % total);
+
+        if (this.regionLayer) {
+            this.map.removeLayer(this.regionLayer);
+            this.regionLayer = null;
+        }
+        if (answer.bounds) {
+            this.regionLayer = L.rectangle(answer.bounds, {
+                className: 'answer-region',
+                weight: 2,
+                dashArray: '6 4',
+                fillOpacity: 0.08,
+                interactive: false
+            }).addTo(this.map);
+        }
+    }
+
     showInterpretation(blob, result) {
-        // 1. Draw Red Outline (Polyline)
-        this.outlineLayer = L.polyline(blob.segments, {
+        // 1. Draw Red Outline (closed polygons, holes included, no fill)
+        this.outlineLayer = L.polygon(blob.polygons, {
             color: 'red',
             weight: 3,
             opacity: 0.8,
-            lineCap: 'round'
+            lineCap: 'round',
+            fill: false
         }).addTo(this.map);
 
+        // 1b. Matched sketch, aligned on the blob
+        if (result.sketch) {
+            try {
+                this.sketchLayer = sketchMatcher.createOverlay(result.sketch, this.map).addTo(this.map);
+            } catch (e) {
+                console.warn("Sketch overlay failed:", e);
+            }
+        }
+
         // 2. (Removed) Map Marker
         // User requested to remove the emoji from the map as it covers the rain.
         // The result is already shown in the overlay.
@@ -1591,71 +4455,561 @@ class App {
         const content = overlay.querySelector('.result-content');
         const iconEl = overlay.querySelector('.result-icon');
         const textEl = overlay.querySelector('.result-text');
-        const closeBtn = overlay.querySelector('.close-result');
 
-        // Construct text
-        const article = (result.adjective && /^[AEIOU]/.test(result.adjective)) ? 'AN' : 'A';
-        const text = result.adjective
-            ? `I SEE ${article} ${result.adjective} ${result.label}`
-            : `I SEE A ${result.label}`;
+        // Construct text (articles, agreement and word order come from the language's grammar)
+        const text = i18n.t('result.local', { phrase: i18n.phrase(result.label, result.adjective) });
 
         iconEl.textContent = result.icon;
-        textEl.textContent = text;
+        i18n.setRaw(textEl, text);
+        overlay.querySelector('.result-description').textContent = '';
+        overlay.querySelector('.result-nav').style.display = 'none';
+        overlay.querySelector('.result-cancel').style.display = 'none';
         iconEl.classList.remove('spin'); // Stop spinning
+        this.renderWhy(overlay.querySelector('.result-why'), result);
+        this.renderMatches(overlay.querySelector('.result-matches'), result.matches);
+        this.renderSeed(overlay.querySelector('.result-seed'));
 
         // Ensure display is flex (it should be already from showLoading)
         overlay.style.display = 'flex';
 
-        // Close Handler
-    const closeHandler = () => {
-        overlay.style.display = 'none';
-        if (this.outlineLayer) this.map.removeLayer(this.outlineLayer);
-        if (this.labelMarker) this.map.removeLayer(this.labelMarker);
-        this.outlineLayer = null;
-        this.labelMarker = null;
-        closeBtn.removeEventListener('click', closeHandler);
-    };
-    closeBtn.addEventListener('click', closeHandler);
-
-    // Auto-close removed to keep result visible until user action
+    // Closing is handled by closeResult(); auto-close removed to keep result visible until user action
 }
+    /**
+     * Seed for the next analysis: the one typed into #seed-input if valid,
+     * otherwise a hash of the frame time, map view and selection / picked blob
+     */
+    resolveAnalysisSeed() {
+        const typed = document.getElementById('seed-input').value;
+        const parsed = SeededRandom.parse(typed);
+        if (parsed !== null) return parsed;
+        if (typed.trim()) console.warn("Ignoring invalid seed (expected up to 8 hex digits):", typed);
+
+        const frame = this.frames[this.currentFrameIndex];
+        const center = this.map.getCenter();
+        let target = 'view';
+        if (this.pickedBlob) {
+            target = `blob:${this.pickedBlob.center.lat.toFixed(4)},${this.pickedBlob.center.lng.toFixed(4)}`;
+        } else if (this.selectionLayer) {
+            target = `box:${this.selectionLayer.getBounds().toBBoxString()}`;
+        }
+
+        return SeededRandom.hash([
+            frame ? frame.time : 0,
+            center.lat.toFixed(4),
+            center.lng.toFixed(4),
+            this.map.getZoom(),
+            target
+        ].join('|'));
+    }
+
+    // Sketch similarity for every reference drawing, best first
+    renderMatches(el, matches) {
+        el.textContent = '';
+        if (!matches || matches.length === 0) return;
+
+        el.textContent = i18n.t('result.matches', {
+            matches: matches
+                .map(m => `${m.icon} ${i18n.label(m.label).text} ${i18n.formatNumber(m.score, { style: 'percent' })}`)
+                .join(' · ')
+        });
+    }
+
+    // Show the seed under a result; clicking it copies it into the seed input to regenerate the reading
+    renderSeed(el) {
+        const seed = SeededRandom.format(this.analysisSeed);
+        el.textContent = i18n.t('result.seed', { seed });
+        el.title = i18n.t('result.seedHint');
+        el.onclick = () => {
+            document.getElementById('seed-input').value = seed;
+        };
+    }
+
+    /**
+     * "Why" breakdown for a local reading: the winning category's terms,
+     * the runner-up, and the raw descriptors they came from
+     */
+    renderWhy(el, result) {
+        el.textContent = '';
+        if (!result.why) return;
+
+        const { why, metrics } = result;
+        const fmt = v => i18n.formatNumber(v, Number.isInteger(v) ? {} : { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const category = c => i18n.t(`category.${c}`);
+        const line = (text, className) => {
+            const div = document.createElement('div');
+            div.textContent = text;
+            if (className) div.className = className;
+            el.appendChild(div);
+        };
+
+        line(i18n.t('why.score', { category: category(why.category), score: fmt(why.score) }), 'why-header');
+        why.terms.forEach(t => line(i18n.t('why.term', { term: i18n.t(`term.${t.label}`), value: fmt(t.value), points: fmt(t.points) })));
+        if (why.runnerUp) line(i18n.t('why.runnerUp', { category: category(why.runnerUp.category), score: fmt(why.runnerUp.score) }));
+
+        // Entry hints that picked this label (camelCase keys shown as SNAKE_CASE, as written in the dictionary)
+        const bound = v => v === null ? '…' : fmt(v);
+        why.hints.forEach(h => {
+            const key = h.key.replace(/([A-Z])/g, '_$1').toUpperCase();
+            line(i18n.t('why.hint', { key, value: fmt(h.value), min: bound(h.range[0]), max: bound(h.range[1]) }));
+        });
+        line(i18n.t('why.shape', {
+            holes: metrics.holes,
+            lobes: metrics.lobes,
+            symmetry: fmt(metrics.symmetry),
+            axis: Math.round(metrics.orientation)
+        }));
+
+        const km = v => i18n.formatNumber(v, { maximumFractionDigits: v >= 100 ? 0 : 1, minimumFractionDigits: v >= 100 ? 0 : 1 });
+        line(i18n.t('why.size', { area: km(metrics.areaKm2), perimeter: km(metrics.perimeterKm) }));
+        line(i18n.t('why.extent', { extent: km(metrics.extentKm), bearing: Math.round(metrics.bearing).toString().padStart(3, '0') }));
+        line(i18n.t('why.dictionary', { name: why.dictionary.toUpperCase() }));
+    }
+
+    // Without a known palette every rain pixel decodes as the strongest echo, so threshold and levels can't apply
+    renderIntensity() {
+        const palette = this.provider ? this.provider.palette : null;
+        const decodable = Boolean(palette && InkPalettes[palette]);
+        document.getElementById('ink-min-dbz').disabled = !decodable;
+        document.getElementById('ink-levels').disabled = !decodable;
+        document.getElementById('ink-intensity-note').hidden = decodable;
+    }
+
     async loadRadarData() {
-        this.updateStatus('CONNECTING...', true);
+        this.updateStatus('status.connecting', true);
         try {
-            const response = await fetch(CONFIG.rainViewerApi);
-            const data = await response.json();
+            let { past, nowcast } = await this.provider.listFrames();
+            this.renderIntensity(); // A local manifest may have named a palette
+
+            if (past.length > 0) {
+                // Persist the frame list; stored past frames the provider has since dropped are kept
+                try {
+                    past = (await tileStore.saveFrames(this.provider.sourceId, past, nowcast)) || past;
+                } catch (e) {
+                    console.warn("Tile store frame save failed:", e);
+                }
+            }
 
-            if (data.radar && data.radar.past) {
-                this.frames = [...data.radar.past, ...data.radar.nowcast];
+            if (past.length + nowcast.length > 0) {
+                this.openFrameSet(past, nowcast);
+                this.updateStatus('status.online', false);
             } else {
-                this.frames = [];
+                this.showError('error.noData');
             }
 
-            if (this.frames.length > 0) {
-                // Fix: Start at the last "Past" frame to ensure data exists
-                // Nowcast frames often return 404 or empty images initially
-                if (data.radar && data.radar.past) {
-                    this.currentFrameIndex = data.radar.past.length - 1;
-                } else {
-                    this.currentFrameIndex = this.frames.length - 1;
-                }
+        } catch (error) {
+            console.error(error);
+
+            // Re-open the last stored frame set if we have one
+            const stored = await tileStore.loadFrames(this.provider.sourceId).catch(() => null);
+            if (stored && stored.past.length > 0) {
+                this.openFrameSet(stored.past, stored.nowcast);
+                this.updateStatus('status.offlineStored', false);
+                return;
+            }
+
+            this.showError('error.connection');
+            this.loadFallbackMode();
+        }
+    }
+
+    openFrameSet(past, nowcast) {
+        this.frames = [...past, ...nowcast];
+        tileCache.resetFailures(); // New frame list, give every tile a fresh set of attempts
+
+        // Fix: Start at the last "Past" frame to ensure data exists
+        // Nowcast frames often return 404 or empty images initially
+        this.currentFrameIndex = past.length > 0 ? past.length - 1 : this.frames.length - 1;
+
+        this.updateScrubber();
+
+        // Set initial frame
+        const frame = this.frames[this.currentFrameIndex];
+        this.rorschachLayer.setFrame(frame);
+        tileCache.setFrames(this.frames, this.currentFrameIndex);
+        this.updateTimestampDisplay(frame.time);
+        this.prefetchFrames();
+    }
+
+    /**
+     * LANGUAGE picker. Tagged static text is rewritten by i18n itself;
+     * text built here from data (dictionary names, the frame time) is redrawn on change.
+     */
+    initLanguage() {
+        const select = document.getElementById('language-select');
+        for (const { code, name } of i18n.languages()) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        select.value = i18n.language;
+        select.addEventListener('change', (e) => i18n.setLanguage(e.target.value));
 
-                this.updateScrubber();
+        i18n.apply(document);
+        i18n.addChangeListener(() => {
+            this.renderDictionaries();
 
-                // Set initial frame
-                const frame = this.frames[this.currentFrameIndex];
-                this.rorschachLayer.setFrame(frame);
+            // Leave an error message in the timestamp slot alone
+            const frame = this.frames[this.currentFrameIndex];
+            if (frame && !document.getElementById('timestamp-display').dataset.i18n) {
                 this.updateTimestampDisplay(frame.time);
+            }
+        });
+    }
 
-                this.updateStatus('ONLINE', false);
+    /**
+     * CLOUD_VISION backend picker. Endpoint and model are remembered per provider
+     * (left empty, the provider's default applies); API keys are kept for this session only.
+     */
+    initVision() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('rorschach-vision')) || {};
+        } catch (e) {
+            console.warn("Vision settings unreadable, using defaults:", e);
+        }
+        this.vision = { type: saved.type || CONFIG.vision.type, settings: saved.settings || {} };
+        if (!VisionProviders[this.vision.type]) {
+            console.warn(`Unknown vision provider: ${this.vision.type}`);
+            this.vision.type = 'gemini';
+        }
+        this.visionKeys = {};
+
+        // URL parameters pick the backend for this visit only: they live here and are never persisted.
+        // Touching a setting in the panel drops the override for it.
+        const params = new URLSearchParams(window.location.search);
+        this.visionOverrides = { type: null, settings: {} };
+        if (params.has('vision')) {
+            if (VisionProviders[params.get('vision')]) {
+                this.visionOverrides.type = params.get('vision');
             } else {
-                this.showError('NO DATA');
+                console.warn(`Unknown vision provider: ${params.get('vision')}`);
             }
+        }
+        if (params.has('visionEndpoint')) this.visionOverrides.settings.endpoint = params.get('visionEndpoint');
+        if (params.has('visionModel')) this.visionOverrides.settings.model = params.get('visionModel');
+
+        document.getElementById('vision-provider').addEventListener('change', (e) => {
+            // The URL's endpoint and model were meant for the backend it picked
+            this.visionOverrides = { type: null, settings: {} };
+            this.vision.type = e.target.value;
+            this.persistVision();
+            this.renderVision();
+        });
+        for (const field of ['endpoint', 'model']) {
+            document.getElementById(`vision-${field}`).addEventListener('change', (e) => {
+                const type = this.getVisionType();
+                delete this.visionOverrides.settings[field];
+                this.vision.settings[type] = { ...this.vision.settings[type], [field]: e.target.value.trim() };
+                this.persistVision();
+                this.renderVision();
+            });
+        }
+        document.getElementById('api-key-input').addEventListener('input', (e) => {
+            this.visionKeys[this.getVisionType()] = e.target.value.trim();
+        });
 
-        } catch (error) {
-            console.error(error);
-            this.showError('CONNECTION FAIL');
-            this.loadFallbackMode();
+        this.renderVision();
+    }
+
+    persistVision() {
+        try {
+            localStorage.setItem('rorschach-vision', JSON.stringify(this.vision));
+        } catch (e) {
+            console.warn("Vision settings not saved:", e);
+        }
+    }
+
+    getVisionType() {
+        return this.visionOverrides.type || this.vision.type;
+    }
+
+    // Saved endpoint / model for the current backend, with the URL's on top
+    getVisionSettings() {
+        return { ...this.vision.settings[this.getVisionType()], ...this.visionOverrides.settings };
+    }
+
+    getVisionProvider() {
+        const type = this.getVisionType();
+        return createVisionProvider({ type, ...this.getVisionSettings(), apiKey: this.visionKeys[type] });
+    }
+
+    // Show the fields the current backend takes; the defaults go in the placeholders
+    renderVision() {
+        const type = this.getVisionType();
+        const settings = this.getVisionSettings();
+        const provider = this.getVisionProvider();
+        const defaults = createVisionProvider({ type });
+
+        document.getElementById('vision-provider').value = type;
+        for (const field of ['endpoint', 'model']) {
+            const input = document.getElementById(`vision-${field}`);
+            input.style.display = provider.fields.includes(field) ? '' : 'none';
+            input.value = settings[field] || '';
+            input.placeholder = defaults[field] || '';
+        }
+
+        const keyInput = document.getElementById('api-key-input');
+        keyInput.style.display = provider.fields.includes('key') ? '' : 'none';
+        keyInput.value = this.visionKeys[type] || '';
+
+        i18n.setText(document.getElementById('card-cloud-hint'), 'analysis.cloudHint', { model: provider.model.toUpperCase() });
+    }
+
+    /**
+     * INK_SETTINGS panel: one slider per ink style value plus the preset picker
+     */
+    initInkSettings() {
+        // Slider id -> style key, and how its value is shown
+        this.inkSliders = {
+            'ink-blur': { key: 'blur', format: v => `${v}PX` },
+            'ink-contrast': { key: 'contrast', format: v => `${v}%` },
+            'ink-alpha': { key: 'alpha', format: v => v.toFixed(2) },
+            'ink-overlay-alpha': { key: 'overlayAlpha', format: v => v.toFixed(2) },
+            'ink-outline-blur': { key: 'outlineBlur', format: v => `${v}PX` },
+            'ink-outline-contrast': { key: 'outlineContrast', format: v => `${v}%` },
+            'ink-outline-threshold': { key: 'outlineThreshold', format: v => `${v}` },
+            'ink-outline-scale': { key: 'outlineScale', format: v => v.toFixed(2) },
+            'ink-outline-simplify': { key: 'outlineSimplify', format: v => `${v}PX` }
+        };
+
+        for (const [id, slider] of Object.entries(this.inkSliders)) {
+            document.getElementById(id).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.rorschachLayer.setInkStyle({ [slider.key]: value });
+                document.getElementById(`${id}-value`).textContent = slider.format(value);
+                // Hand-tuned values no longer match the named preset
+                document.getElementById('ink-preset').value = 'custom';
+            });
+        }
+
+        document.getElementById('ink-preset').addEventListener('change', (e) => this.applyInkPreset(e.target.value));
+        document.getElementById('btn-ink-preset-save').addEventListener('click', () => this.saveInkPreset());
+        document.getElementById('btn-ink-preset-rename').addEventListener('click', () => this.renameInkPreset());
+        document.getElementById('btn-ink-preset-export').addEventListener('click', () => this.exportInkPreset());
+
+        this.renderInkPresets('default');
+        this.applyInkPreset('default');
+    }
+
+    renderInkPresets(selected) {
+        const select = document.getElementById('ink-preset');
+        select.innerHTML = '';
+
+        for (const name of inkPresets.names()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name.toUpperCase();
+            select.appendChild(option);
+        }
+
+        // Shown while the sliders have been moved away from any preset
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        i18n.setText(custom, 'preset.custom');
+        custom.disabled = true;
+        select.appendChild(custom);
+
+        select.value = selected;
+    }
+
+    applyInkPreset(name) {
+        const style = inkPresets.get(name);
+        if (!style) return;
+
+        this.rorschachLayer.setInkStyle(style);
+        this.syncInkSliders(style);
+        document.getElementById('ink-preset').value = name;
+    }
+
+    syncInkSliders(style) {
+        for (const [id, slider] of Object.entries(this.inkSliders)) {
+            document.getElementById(id).value = style[slider.key];
+            document.getElementById(`${id}-value`).textContent = slider.format(style[slider.key]);
+        }
+    }
+
+    saveInkPreset() {
+        const input = prompt(i18n.t('preset.namePrompt'));
+        if (!input || !input.trim()) return;
+        const name = input.trim();
+
+        if (inkPresets.isReserved(name)) {
+            this.updateStatus('status.presetReserved', false, { name: name.toUpperCase() });
+            return;
+        }
+        if (inkPresets.has(name) && !inkPresets.isBuiltIn(name) && !confirm(i18n.t('preset.overwriteConfirm', { name }))) return;
+
+        try {
+            inkPresets.save(name, this.rorschachLayer.inkStyle);
+            this.renderInkPresets(name);
+            this.updateStatus('status.presetSaved', false);
+        } catch (e) {
+            console.warn("Ink preset save failed:", e);
+            this.updateStatus('status.presetSaveFailed', false);
+        }
+    }
+
+    renameInkPreset() {
+        const current = document.getElementById('ink-preset').value;
+        if (current === 'custom' || inkPresets.isBuiltIn(current)) {
+            this.updateStatus('status.saveFirst', false);
+            return;
+        }
+
+        const name = prompt(i18n.t('preset.renamePrompt'), current);
+        if (!name || !name.trim() || name.trim() === current) return;
+        if (inkPresets.isReserved(name.trim())) {
+            this.updateStatus('status.presetReserved', false, { name: name.trim().toUpperCase() });
+            return;
+        }
+
+        try {
+            inkPresets.rename(current, name.trim());
+            this.renderInkPresets(name.trim());
+        } catch (e) {
+            console.warn("Ink preset rename failed:", e);
+            this.updateStatus('status.presetRenameFailed', false);
+        }
+    }
+
+    // Download the selected preset (or the current hand-tuned values) as JSON
+    exportInkPreset() {
+        const current = document.getElementById('ink-preset').value;
+        const json = current === 'custom'
+            ? JSON.stringify({ name: 'custom', settings: this.rorschachLayer.inkStyle }, null, 2)
+            : inkPresets.toJSON(current);
+
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ink-preset-${current}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * DICTIONARY panel: picker, JSON import/export and the editor modal.
+     * The bundled packs arrive after startup, so the picker is rendered twice.
+     */
+    initDictionaries() {
+        document.getElementById('dictionary-select').addEventListener('change', (e) => {
+            dictionaries.setActive(e.target.value);
+        });
+        document.getElementById('btn-dictionary-edit').addEventListener('click', () => this.openDictionaryEditor());
+        document.getElementById('btn-dictionary-export').addEventListener('click', () => this.exportDictionary());
+
+        const fileInput = document.getElementById('dictionary-file');
+        document.getElementById('btn-dictionary-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importDictionary(fileInput.files[0]);
+            fileInput.value = ''; // Allow re-importing the same file
+        });
+
+        document.getElementById('btn-dictionary-save').addEventListener('click', () => this.saveDictionaryEdit());
+        document.getElementById('btn-dictionary-delete').addEventListener('click', () => this.deleteDictionary());
+        document.getElementById('btn-dictionary-close').addEventListener('click', () => this.closeDictionaryEditor());
+
+        this.renderDictionaries();
+        dictionaries.load().then(() => this.renderDictionaries());
+    }
+
+    renderDictionaries() {
+        const select = document.getElementById('dictionary-select');
+        select.innerHTML = '';
+
+        for (const id of dictionaries.ids()) {
+            const option = document.createElement('option');
+            option.value = id;
+            // The built-in set is named in the interface language; packs keep their own names
+            option.textContent = id === 'classic' ? i18n.t('dictionary.classic') : dictionaries.get(id).name.toUpperCase();
+            select.appendChild(option);
+        }
+
+        select.value = dictionaries.get(dictionaries.activeId) ? dictionaries.activeId : 'classic';
+    }
+
+    // Built-ins open as a copy (renamed) so saving never tries to overwrite them
+    openDictionaryEditor() {
+        const id = document.getElementById('dictionary-select').value;
+        const dictionary = dictionaries.get(id);
+        if (!dictionary) return;
+
+        const draft = dictionaries.isBuiltIn(id) ? { ...dictionary, name: `${dictionary.name} Copy` } : dictionary;
+        this.editingDictionary = dictionaries.isBuiltIn(id) ? null : id;
+
+        document.getElementById('dictionary-editor-text').value = JSON.stringify(draft, null, 2);
+        document.getElementById('dictionary-editor-error').textContent = '';
+        document.getElementById('btn-dictionary-delete').disabled = !this.editingDictionary;
+        document.getElementById('dictionary-editor').style.display = 'flex';
+    }
+
+    closeDictionaryEditor() {
+        document.getElementById('dictionary-editor').style.display = 'none';
+        this.editingDictionary = null;
+    }
+
+    // Saves under the "name" in the JSON; changing it keeps the original as well
+    saveDictionaryEdit() {
+        const errorEl = document.getElementById('dictionary-editor-error');
+        try {
+            const id = dictionaries.save(JSON.parse(document.getElementById('dictionary-editor-text').value));
+            dictionaries.setActive(id);
+            this.renderDictionaries();
+            this.closeDictionaryEditor();
+            this.updateStatus('status.dictionarySaved', false);
+        } catch (e) {
+            errorEl.textContent = e.message.toUpperCase();
+        }
+    }
+
+    deleteDictionary() {
+        const id = this.editingDictionary;
+        if (!id || !confirm(i18n.t('dictionary.deleteConfirm', { name: id }))) return;
+
+        try {
+            dictionaries.remove(id);
+            this.renderDictionaries();
+            this.closeDictionaryEditor();
+        } catch (e) {
+            console.warn("Dictionary delete failed:", e);
+            this.updateStatus('status.dictionaryDeleteFailed', false);
+        }
+    }
+
+    async importDictionary(file) {
+        try {
+            const id = dictionaries.save(JSON.parse(await file.text()));
+            dictionaries.setActive(id);
+            this.renderDictionaries();
+            this.updateStatus('status.dictionaryImported', false);
+        } catch (e) {
+            console.warn("Dictionary import failed:", e);
+            this.updateStatus('status.importFailed', false, { error: e.message.toUpperCase() });
+        }
+    }
+
+    exportDictionary() {
+        const id = document.getElementById('dictionary-select').value;
+        if (!dictionaries.get(id)) return;
+
+        const url = URL.createObjectURL(new Blob([dictionaries.toJSON(id)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dictionary-${id.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async clearStoredRadar() {
+        if (!confirm(i18n.t('store.clearConfirm'))) return;
+
+        try {
+            await tileStore.clear();
+            this.updateStatus('status.storeCleared', false);
+        } catch (e) {
+            console.error("Tile store clear failed:", e);
+            this.showError('error.clear');
         }
     }
 
@@ -1666,7 +5020,7 @@ class App {
         const bounds = [[20, -130], [50, -60]];
         L.imageOverlay('assets/fallback_radar.png', bounds, { opacity: 0.8 }).addTo(this.map);
         this.map.fitBounds(bounds);
-        this.updateStatus('OFFLINE MODE', false);
+        this.updateStatus('status.offlineMode', false);
     }
 
     updateScrubber() {
@@ -1683,16 +5037,59 @@ class App {
 
             // Update Layer
             this.rorschachLayer.setFrame(frame);
+            tileCache.setFrames(this.frames, index);
             this.updateTimestampDisplay(frame.time);
             this.updateScrubber();
 
-            // Trigger Preload of next few frames
-            // We slice from current index
-            const futureFrames = this.frames.slice(index, index + 5);
-            tileCache.preload(futureFrames, this.map);
+            // Re-prioritize the download queue around the new current frame
+            this.prefetchFrames();
         }
     }
 
+    prefetchFrames() {
+        tileCache.prefetchSequence(this.frames, this.currentFrameIndex, this.map);
+        this.scheduleFrameProgress();
+    }
+
+    // --- Frame Progress Strip (per-frame loaded indicator under the scrubber) ---
+
+    scheduleFrameProgress() {
+        // Tiles finish in bursts, so batch redraws
+        if (this.frameProgressTimer) return;
+        this.frameProgressTimer = setTimeout(() => {
+            this.frameProgressTimer = null;
+            this.renderFrameProgress();
+        }, 250);
+    }
+
+    renderFrameProgress() {
+        const strip = document.getElementById('frame-progress');
+        if (!strip) return;
+
+        if (strip.children.length !== this.frames.length) {
+            strip.innerHTML = '';
+            this.frames.forEach(() => {
+                const cell = document.createElement('div');
+                cell.className = 'frame-cell';
+                strip.appendChild(cell);
+            });
+        }
+
+        this.frames.forEach((frame, i) => {
+            const progress = tileCache.getFrameProgress(frame.path);
+            const cell = strip.children[i];
+            let state = 'pending';
+            if (progress.total > 0 && progress.loaded === progress.total) {
+                state = 'loaded';
+            } else if (progress.total > 0 && progress.failed * 2 > progress.total) {
+                state = 'failed';
+            } else if (progress.loaded > 0) {
+                state = 'partial';
+            }
+            cell.className = `frame-cell ${state}` + (i === this.currentFrameIndex ? ' current' : '');
+        });
+    }
+
     toggleAnimation() {
         if (this.isPlaying) {
             this.stopAnimation();
@@ -1704,49 +5101,93 @@ class App {
     startAnimation() {
         this.isPlaying = true;
         document.getElementById('btn-play').textContent = '⏸';
-        this.updateStatus('PLAYING', false);
+        this.updateStatus('status.playing', false);
+
+        // With interpolation each 200ms frame is split into in-between steps
+        const steps = this.interpolation.mode === 'off' ? 1 : this.interpolation.steps;
+        this.tweenStep = 0;
 
         this.playInterval = setInterval(() => {
-            let nextIndex = this.currentFrameIndex + 1;
-            if (nextIndex >= this.frames.length) {
-                nextIndex = 0;
+            this.tweenStep++;
+
+            if (this.tweenStep >= steps) {
+                this.tweenStep = 0;
+                let nextIndex = this.currentFrameIndex + 1;
+                if (nextIndex >= this.frames.length) {
+                    nextIndex = 0;
+                }
+                this.showFrame(nextIndex);
             }
-            this.showFrame(nextIndex);
-        }, 200); // Fast 200ms updates because RAF handles smoothing!
+
+            this.updateTween(steps);
+        }, 200 / steps); // One tick per in-between step, so a whole frame still takes 200ms
     }
 
     stopAnimation() {
         this.isPlaying = false;
         document.getElementById('btn-play').textContent = '▶';
         clearInterval(this.playInterval);
-        this.updateStatus('ONLINE', false);
+        this.rorschachLayer.setTween(null);
+        this.updateStatus('status.online', false);
+    }
+
+    // Point the layer at the in-between position of the current step
+    updateTween(steps) {
+        const nextIndex = this.currentFrameIndex + 1;
+
+        // No tween on the wrap back to the first frame, that jump is meant to be visible
+        if (this.interpolation.mode === 'off' || this.tweenStep === 0 || nextIndex >= this.frames.length) {
+            this.rorschachLayer.setTween(null);
+            return;
+        }
+
+        this.rorschachLayer.setTween(this.frames[nextIndex], this.tweenStep / steps, this.interpolation.mode);
+    }
+
+    setInterpolation(options) {
+        this.interpolation = { ...this.interpolation, ...options };
+
+        // Restart so the new step timing applies right away
+        if (this.isPlaying) {
+            clearInterval(this.playInterval);
+            this.startAnimation();
+        }
     }
 
     updateTimestampDisplay(ts) {
-        const date = new Date(ts * 1000);
-        document.getElementById('timestamp-display').textContent = date.toLocaleTimeString() + ' ' + date.toLocaleDateString();
+        i18n.setRaw(document.getElementById('timestamp-display'), i18n.formatDateTime(new Date(ts * 1000)));
     }
 
     setMode(mode) {
         document.querySelectorAll('.toggle-group button').forEach(b => b.classList.remove('active'));
         document.getElementById(`btn-${mode}`).classList.add('active');
         this.rorschachLayer.setMode(mode);
+
+        // Radial controls and center handle only make sense in Kaleido mode
+        document.getElementById('radial-controls').style.display = mode === 'kaleido' ? 'block' : 'none';
+        if (mode === 'kaleido') {
+            this.showKaleidoHandle();
+        } else {
+            this.hideKaleidoHandle();
+        }
     }
 
     setTheme(theme) {
         document.body.className = `theme-${theme}`;
     }
 
-    showError(msg) {
-        this.updateStatus('ERROR', true);
-        document.getElementById('timestamp-display').textContent = `ERR: ${msg}`;
+    // key / params: an i18n message, shown in the timestamp slot
+    showError(key, params) {
+        this.updateStatus('status.error', true);
+        i18n.setText(document.getElementById('timestamp-display'), 'error.message', { message: i18n.t(key, params) });
         document.getElementById('timestamp-display').style.color = 'red';
     }
 
-    updateStatus(text, blink) {
+    // key / params: an i18n message (see i18n.js)
+    updateStatus(key, blink, params) {
         const el = document.getElementById('status-indicator');
         if (el) {
-            el.textContent = text;
+            i18n.setText(el, key, params);
             if (blink) {
                 el.classList.add('blink');
                 el.style.color = 'var(--phosphor-primary)';